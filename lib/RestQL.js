@@ -1,7 +1,8 @@
 'use strict';
 
-const _      = require('lodash');
-const router = require('./router');
+const _       = require('lodash');
+const router  = require('./router');
+const openapi = require('./openapi');
 
 
 /**
@@ -21,7 +22,25 @@ function RestQL (models, options) {
 
   this.options = _.defaultsDeep(options, {
     query: {
-      _limit: 1000
+      _limit   : 1000,
+      exceeded : 'reject',
+      unknown  : 'forward'
+    },
+    body: {
+      readOnly : 'drop',
+      validate : false
+    },
+    errors: {
+      notFoundStatus: 404
+    },
+    pagination: {
+      xRange: false
+    },
+    openapi: false,
+    odata: false,
+    jsonapi: false,
+    graphql: {
+      path: '/graphql'
     },
     qs: {
       arrayLimit         : 1000,
@@ -40,6 +59,47 @@ function RestQL (models, options) {
     return this.router.routes();
   }
 
+  /**
+   * mount GET and POST `/graphql`, whose schema is generated from
+   * the models and the ignore rules of the routes
+   */
+  this.graphql = () => {
+    this.graphqlRouter = this.graphqlRouter || 
+      router.loadGraphQL(this.router.routeTable, this.options);
+    return this.graphqlRouter.routes();
+  }
+
+  this.openapi = () => {
+    return openapi.build(this.router.routeTable, this.options);
+  }
+
+  /**
+   * describe the generated routes, routes of ignored models, 
+   * associations and methods are marked as `ignored`
+   */
+  this.describe = () => {
+    return this.router.routeTable.map(route => {
+
+      const {
+        method, path, model, association, ignored
+      } = route;
+
+      return {
+        method, path, 
+        model       : model.name,
+        association : association ? {
+          name     : association.as,
+          type     : association.associationType
+            .replace(/^(.)/, $1 => $1.toLowerCase()),
+          target   : association.target.name,
+          singular : !!association.isSingleAssociation
+        } : null,
+        ignored     : !!ignored
+      };
+
+    });
+  }
+
 }
 
 /**
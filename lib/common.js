@@ -1,94 +1,1715 @@
 'use strict'
 
-const _     = require('lodash');
-const debug = require('debug')('roas-restql:common');
+const _      = require('lodash');
+const debug  = require('debug')('roas-restql:common');
+
+const errors = require('./errors');
 
 function switchByType (param, callbacks) {
 
-  callbacks = callbacks || {}
+  callbacks = callbacks || {}
+
+  const {
+    object, array, string, bool, number, defaults
+  } = callbacks;
+
+  let callback;
+
+  switch (typeof param) {
+    case 'object':
+      if (Array.isArray(param)) {
+        callback = array;
+      } else {
+        callback = object;
+      }
+      break
+    case 'string':
+      callback = string;
+      break
+    case 'boolean':
+      callback = bool;
+      break
+    case 'number':
+      callback = number;
+      break
+    default:
+      callback = defaults;
+      break
+  }
+
+  if (callback !== undefined) {
+    if ('function' === typeof callback) {
+      return callback(param);
+    } else {
+      return callback;
+    }
+  }
+}
+
+function shouldIgnoreAssociation (method, options) {
+
+  options = options || {}
+
+  let ignore  = options.ignore;
+
+  return switchByType(ignore, {
+    array : () => 
+      ignore.find(ignoreMethod => ignoreMethod.toLowerCase() === method),
+    bool  : () => ignore
+  });
+
+}
+
+function shouldIgnoreModel (method, options) {
+
+  options = options || {}
+
+  const allowedMethods = options.methods;
+
+  if (options.readOnly && method !== 'get')
+    return true;
+
+  if (Array.isArray(allowedMethods) && !allowedMethods.find(allowedMethod => 
+    allowedMethod.toLowerCase() === method))
+    return true;
+
+  return shouldIgnoreAssociation(method, options);
+
+}
+
+/**
+ * associations are included with the options of their target models, 
+ * a target which cannot be read is not included
+ */
+function shouldIgnoreInclude (method, association) {
+
+  const target = association.target || {};
+
+  return !!shouldIgnoreAssociation(method, association.options.restql) || 
+    shouldIgnoreModel('get', (target.options || {}).restql);
+
+}
+
+/**
+ * routes of an association read rows of its target, and write rows of 
+ * its target and of the through model of belongsToMany associations, 
+ * which follow the options of those models as well
+ */
+function shouldIgnoreRoute (method, association) {
+
+  if (method === 'get')
+    return shouldIgnoreInclude(method, association);
+
+  const through = association.through && association.through.model;
+
+  return !!shouldIgnoreAssociation(method, association.options.restql) || 
+    shouldIgnoreModel(method, association.target.options.restql) ||
+    !!through && shouldIgnoreModel(method, through.options.restql);
+
+}
+
+/**
+ * apply a JSON Merge Patch (RFC 7396) to target, target is not mutated
+ */
+function mergePatch (target, patch) {
+
+  if (!_.isPlainObject(patch)) {
+    return patch;
+  }
+
+  const ret = _.isPlainObject(target) ? _.clone(target) : {};
+
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) {
+      delete ret[key];
+    } else {
+      ret[key] = mergePatch(ret[key], patch[key]);
+    }
+  });
+
+  return ret;
+
+}
+
+function jsonPatchError (message, index, status) {
+
+  const codes = {
+    400 : 'INVALID_BODY',
+    409 : 'JSON_PATCH_TEST_FAILED',
+    422 : 'JSON_PATCH_INVALID_OPERATION'
+  };
+
+  status = status || 422;
+
+  return errors.create(status, codes[status], 
+    `JSON Patch operation ${index} ${message}`, { index });
+
+}
+
+/**
+ * parse a JSON Pointer (RFC 6901) into reference tokens
+ */
+function parseJSONPointer (pointer) {
+
+  if (typeof pointer !== 'string' || (pointer && pointer[0] !== '/'))
+    return;
+
+  if (!pointer)
+    return [];
+
+  return pointer.slice(1).split('/').map(token => 
+    token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+}
+
+/**
+ * apply a JSON Patch (RFC 6902) to document, document is not mutated
+ * throws a RestQL error with the index of the failing operation
+ */
+function applyJSONPatch (document, operations) {
+
+  const has = (container, token) => switchByType(container, {
+    array  : () => /^(0|[1-9][0-9]*)$/.test(token) && +token < container.length,
+    object : () => container !== null && 
+      Object.prototype.hasOwnProperty.call(container, token)
+  });
+
+  const resolve = (doc, tokens, index) => {
+
+    let value = doc;
+
+    tokens.forEach(token => {
+      if (!has(value, token)) {
+        throw jsonPatchError(`path ${tokens.join('/')} does not exist`, index);
+      }
+      value = value[token];
+    });
+
+    return value;
+
+  }
+
+  const add = (doc, tokens, value, index) => {
+
+    if (!tokens.length)
+      return value;
+
+    const token  = tokens[tokens.length - 1];
+    const parent = resolve(doc, tokens.slice(0, -1), index);
+
+    switchByType(parent, {
+      array    : () => {
+        if (token === '-') {
+          return parent.push(value);
+        }
+        if (!/^(0|[1-9][0-9]*)$/.test(token) || +token > parent.length) {
+          throw jsonPatchError(`index ${token} is out of bounds`, index);
+        }
+        parent.splice(+token, 0, value);
+      },
+      object   : () => {
+        if (parent === null) {
+          throw jsonPatchError('parent is not a container', index);
+        }
+        parent[token] = value;
+      },
+      defaults : () => {
+        throw jsonPatchError('parent is not a container', index);
+      }
+    });
+
+    return doc;
+
+  }
+
+  const remove = (doc, tokens, index) => {
+
+    if (!tokens.length) {
+      throw jsonPatchError('cannot remove the whole document', index);
+    }
+
+    const token  = tokens[tokens.length - 1];
+    const parent = resolve(doc, tokens.slice(0, -1), index);
+
+    resolve(doc, tokens, index);
+
+    if (Array.isArray(parent)) {
+      parent.splice(+token, 1);
+    } else {
+      delete parent[token];
+    }
+
+    return doc;
+
+  }
+
+  if (!Array.isArray(operations)) {
+    throw jsonPatchError('patch must be an array', 0, 400);
+  }
+
+  let doc = _.cloneDeep(document);
+
+  operations.forEach((operation, index) => {
+
+    if (!_.isPlainObject(operation)) {
+      throw jsonPatchError('is not an object', index);
+    }
+
+    const {
+      op, value
+    } = operation;
+
+    const path = parseJSONPointer(operation.path);
+    const from = parseJSONPointer(operation.from);
+
+    if (!path) {
+      throw jsonPatchError('has an invalid path', index);
+    }
+
+    if (['move', 'copy'].indexOf(op) !== -1 && !from) {
+      throw jsonPatchError('has an invalid from', index);
+    }
+
+    if (['add', 'replace', 'test'].indexOf(op) !== -1 && value === undefined) {
+      throw jsonPatchError('has no value', index);
+    }
+
+    switch (op) {
+      case 'add':
+        doc = add(doc, path, _.cloneDeep(value), index);
+        break;
+      case 'remove':
+        doc = remove(doc, path, index);
+        break;
+      case 'replace':
+        resolve(doc, path, index);
+        doc = path.length ? remove(doc, path, index) : doc;
+        doc = add(doc, path, _.cloneDeep(value), index);
+        break;
+      case 'move': {
+        const moved = resolve(doc, from, index);
+        if (path.length > from.length && 
+          from.every((token, i) => token === path[i])) {
+          throw jsonPatchError('cannot move a value into its own child', index);
+        }
+        doc = remove(doc, from, index);
+        doc = add(doc, path, moved, index);
+        break;
+      }
+      case 'copy':
+        doc = add(doc, path, _.cloneDeep(resolve(doc, from, index)), index);
+        break;
+      case 'test':
+        if (!_.isEqual(resolve(doc, path, index), value)) {
+          throw jsonPatchError('test failed', index, 409);
+        }
+        break;
+      default:
+        throw jsonPatchError(`has an unknown op ${op}`, index);
+    }
+
+  });
+
+  return doc;
+
+}
+
+function getAttributeOptions (model, key) {
+
+  const attribute = model.attributes[key];
+
+  return (attribute && attribute.restql) || {};
+
+}
+
+/**
+ * hidden and writeOnly attributes are never responded, 
+ * and cannot be used to filter or order rows
+ */
+function isAttributeReadable (model, key) {
+
+  const options = getAttributeOptions(model, key);
+
+  return !options.hidden && !options.writeOnly;
+
+}
+
+/**
+ * hidden and readOnly attributes are never accepted in request bodies
+ */
+function isAttributeWritable (model, key) {
+
+  const options = getAttributeOptions(model, key);
+
+  return !options.hidden && !options.readOnly;
+
+}
+
+function getUnreadableAttributes (model) {
+
+  return Object.keys(model.attributes).filter(key => 
+    !isAttributeReadable(model, key));
+
+}
+
+/**
+ * remove unreadable attributes from instances, includes and 
+ * through instances recursively
+ */
+function pickReadableValues (data) {
+
+  if (Array.isArray(data))
+    return data.map(pickReadableValues);
+
+  if (!data || !data.Model || 'function' !== typeof data.get)
+    return data;
+
+  const model  = data.Model;
+  const values = data.get();
+  const ret    = {};
+
+  Object.keys(values).forEach(key => {
+    if (model.attributes[key] && !isAttributeReadable(model, key))
+      return;
+    ret[key] = pickReadableValues(values[key]);
+  });
+
+  return ret;
+
+}
+
+/**
+ * remove unwritable attributes from request bodies, values of 
+ * associations are picked with the association target
+ */
+function pickWritableValues (data, model) {
+
+  const rejected = [];
+
+  const pick = (row, model) => {
+
+    if (Array.isArray(row))
+      return row.map(item => pick(item, model));
+
+    if (!_.isPlainObject(row))
+      return row;
+
+    const ret = {};
+
+    Object.keys(row).forEach(key => {
+
+      const association = model.associations[key];
+
+      if (association) {
+        ret[key] = pick(row[key], association.target);
+        return;
+      }
+
+      if (model.attributes[key] && !isAttributeWritable(model, key)) {
+        rejected.push(key);
+        return;
+      }
+
+      ret[key] = row[key];
+
+    });
+
+    return ret;
+
+  }
+
+  data = pick(data, model);
+
+  return { data, rejected: _.uniq(rejected) };
+
+}
+
+function isTimestampAttribute (model, key) {
+
+  const timestamps = model._timestampAttributes || {};
+
+  return Object.keys(timestamps).some(name => timestamps[name] === key);
+
+}
+
+function isAttributeRequired (model, key) {
+
+  const attribute = model.attributes[key];
+
+  return attribute.allowNull === false 
+    && attribute.defaultValue === undefined
+    && !attribute.autoIncrement
+    && !isTimestampAttribute(model, key);
+
+}
+
+/**
+ * check a value with the type of attribute, returns the failed rule
+ */
+function checkAttributeValue (attribute, value) {
+
+  const type  = attribute.type || {};
+  const key   = type.key;
+  const valid = {
+    INTEGER  : () => _.isInteger(value) || /^-?\d+$/.test(value),
+    BIGINT   : () => _.isInteger(value) || /^-?\d+$/.test(value),
+    FLOAT    : () => _.isFinite(value),
+    DOUBLE   : () => _.isFinite(value),
+    DECIMAL  : () => _.isFinite(value) || /^-?\d+(\.\d+)?$/.test(value),
+    STRING   : () => 'string' === typeof value,
+    CHAR     : () => 'string' === typeof value,
+    TEXT     : () => 'string' === typeof value,
+    BOOLEAN  : () => 'boolean' === typeof value || value === 0 || value === 1,
+    DATE     : () => ('string' === typeof value || _.isFinite(value)) 
+      && !isNaN(new Date(value).getTime()),
+    DATEONLY : () => 'string' === typeof value 
+      && !isNaN(new Date(value).getTime()),
+    ENUM     : () => true
+  }[key];
+
+  if (valid && !valid())
+    return { rule: 'type', message: `must be ${key}` };
+
+  const length = type._length || (type.options && type.options.length);
+
+  if (['STRING', 'CHAR'].indexOf(key) !== -1 && length && value.length > length)
+    return { rule: 'len', message: `must be at most ${length} characters` };
+
+  const values = attribute.values || type.values;
+
+  if (key === 'ENUM' && values && values.indexOf(value) === -1)
+    return { rule: 'isIn', message: `must be one of ${values.join()}` };
+
+}
+
+/**
+ * validate request bodies with the definitions of attributes before
+ * hitting the database, items of every array element are collected
+ *
+ * @param {Object|Array} data
+ * @param {Model}        model
+ * @param {Object}       [options={}]
+ * @param {Boolean}      [options.required=false] check attributes 
+ *   that have neither `allowNull` nor `defaultValue`
+ * @param {Array}        [options.ignored=[]] attributes set by RestQL, 
+ *   e.g. the foreign key of an association
+ */
+function validateValues (data, model, options) {
+
+  options = options || {};
+
+  const ignored = options.ignored || [];
+  const items   = [];
+
+  const validate = (row, index) => {
+
+    if (!_.isPlainObject(row))
+      return;
+
+    const push = (field, rule, message) => {
+      const item = { 
+        field, rule, 
+        message : `${field} ${message}`, 
+        value   : row[field] 
+      };
+      if (index !== undefined)
+        item.index = index;
+      items.push(item);
+    }
+
+    Object.keys(row).forEach(key => {
+
+      const attribute = model.attributes[key];
+      const value     = row[key];
+
+      if (model.associations[key])
+        return;
+
+      if (!attribute)
+        return push(key, 'unknown', 'is not an attribute');
+
+      if (value === null || value === undefined) {
+        if (attribute.allowNull === false && !attribute.autoIncrement)
+          push(key, 'allowNull', 'cannot be null');
+        return;
+      }
+
+      const failed = checkAttributeValue(attribute, value);
+
+      if (failed)
+        push(key, failed.rule, failed.message);
+
+    });
+
+    if (!options.required)
+      return;
+
+    Object.keys(model.attributes).forEach(key => {
+      if (ignored.indexOf(key) === -1 
+        && !row.hasOwnProperty(key) && isAttributeRequired(model, key))
+        push(key, 'required', 'is required');
+    });
+
+  }
+
+  if (Array.isArray(data))
+    data.forEach(validate);
+  else
+    validate(data);
+
+  return items;
+
+}
+
+/**
+ * hidden and writeOnly attributes cannot be filtered, filters on them are
+ * rejected rather than dropped, which would widen the query
+ */
+function checkReadableWhere (where, model, include) {
+
+  if (Array.isArray(where)) {
+    where.forEach(item => checkReadableWhere(item, model, include));
+    return where;
+  }
+
+  if (!_.isPlainObject(where))
+    return where;
+
+  Object.keys(where).forEach(key => {
+
+    if (/^\$(or|and|not)$/.test(key)) {
+      checkReadableWhere(where[key], model, include);
+      return;
+    }
+
+    const column = model.attributes[key] ? 
+      { model, attribute: key, name: key } : getNestedColumn(key, model, include);
+
+    if (column && !isAttributeReadable(column.model, column.attribute))
+      throw errors.create(400, 'ATTRIBUTE_NOT_FILTERABLE', 
+        `${column.name} is not filterable`, { 
+          model: column.model.name, field: column.attribute 
+        });
+
+  });
+
+  return where;
+
+}
+
+const defaultOperators = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$is', '$not', 
+  '$in', '$notIn', '$like', '$notLike', '$iLike', '$notILike', 
+  '$between', '$notBetween', '$and', '$or'
+];
+
+/**
+ * operators of `where` could be allowed by `operators` of an attribute, 
+ * of a model, or of `options.query`, the most specific one is used
+ */
+function getAllowedOperators (model, attribute, options) {
+
+  const attributeOptions = attribute ? getAttributeOptions(model, attribute) : {};
+  const modelOptions     = (model.options && model.options.restql) || {};
+  const queryOptions     = (options && options.query) || {};
+
+  return attributeOptions.operators || modelOptions.operators || 
+    queryOptions.operators || defaultOperators;
+
+}
+
+function isAttributeFilterable (model, attribute) {
+
+  const filterable = ((model.options || {}).restql || {}).filterable;
+
+  return !filterable || filterable.indexOf(attribute) !== -1;
+
+}
+
+/**
+ * resolve keys like `$house.name$` to attributes of included associations
+ */
+function getNestedColumn (key, model, include) {
+
+  const match = /^\$(\w+(?:\.\w+)+)\$$/.exec(key);
+  const column = match && resolveColumn(match[1], model, include);
+
+  return column && column.path.length ? column : undefined;
+
+}
+
+/**
+ * sequelize runs a `where` of strings or arrays as raw SQL
+ */
+function checkWhereObject (where, option) {
+
+  if (where !== undefined && !_.isPlainObject(where))
+    throw expressionError(option, where, 'must be an object');
+
+  return where;
+
+}
+
+/**
+ * check attributes and operators of `where` recursively, keys like 
+ * `$house.name$` are checked as attributes of included associations, 
+ * or else as operators, items of `$and`, `$or` and `$not` must be objects
+ */
+function checkWhere (where, model, options, attribute, include) {
+
+  if (Array.isArray(where))
+    return where.forEach(item => 
+      checkWhere(item, model, options, attribute, include));
+
+  if (!attribute)
+    checkWhereObject(where, 'where');
+
+  if (!_.isPlainObject(where))
+    return;
+
+  Object.keys(where).forEach(key => {
+
+    const column = !attribute && getNestedColumn(key, model, include);
+
+    if (column) {
+
+      if (!isAttributeFilterable(column.model, column.attribute))
+        throw errors.create(400, 'ATTRIBUTE_NOT_FILTERABLE', 
+          `${column.name} is not filterable`, { 
+            model: column.model.name, field: column.attribute 
+          });
+
+      checkWhere(where[key], column.model, options, column.attribute);
+      return;
+
+    }
+
+    if (!/^\$/.test(key)) {
+
+      if (!attribute && !isAttributeFilterable(model, key))
+        throw errors.create(400, 'ATTRIBUTE_NOT_FILTERABLE', 
+          `${key} is not filterable`, { model: model.name, field: key });
+
+      checkWhere(where[key], model, options, attribute || key);
+      return;
+
+    }
+
+    const operators = getAllowedOperators(model, attribute, options);
+
+    if (operators.indexOf(key) === -1) {
+
+      const props = { operator: key, model: model.name };
+
+      if (attribute)
+        props.field = attribute;
+
+      throw errors.create(400, 'OPERATOR_NOT_ALLOWED', 
+        `${key} is not allowed${attribute ? ` on ${attribute}` : ''}`, props);
+
+    }
+
+    checkWhere(where[key], model, options, attribute, include);
+
+  });
+
+}
+
+const defaultFunctions = ['count', 'sum', 'avg', 'min', 'max'];
+
+function expressionError (option, expression, detail) {
+
+  return errors.create(400, 'INVALID_QUERY_EXPRESSION', 
+    `${option} ${detail || 'is invalid'}: ${JSON.stringify(expression)}`, { 
+      option, expression 
+    });
+
+}
+
+function getIncludeAssociation (item) {
+
+  return item.association || item;
+
+}
+
+/**
+ * resolve `name`, `character.name` or `house.name` to an attribute of 
+ * the model or of an included association, identifiers could be quoted
+ */
+function resolveColumn (expression, model, include) {
+
+  if ('string' !== typeof expression)
+    return;
+
+  const segments = expression.trim().split('.')
+    .map(segment => segment.replace(/^([`"])(\w+)\1$/, '$2'));
+
+  if (!segments.every(segment => /^\w+$/.test(segment)))
+    return;
+
+  if (segments.length > 1 && segments[0] === model.name)
+    segments.shift();
+
+  const attribute = segments.pop();
+  const path      = [];
+
+  let target = model;
+
+  for (let alias of segments) {
+
+    const item = (include || []).find(item => 
+      getIncludeAssociation(item).as === alias);
+
+    if (!item)
+      return;
+
+    const association = getIncludeAssociation(item);
+
+    path.push(association);
+    target  = association.target;
+    include = item.include;
+
+  }
+
+  if (!target.attributes[attribute])
+    return;
+
+  const name = path.length ? 
+    `${path.map(association => association.as).join('.')}.${attribute}` : 
+    `${model.name}.${attribute}`;
+
+  return { path, model: target, attribute, name };
+
+}
+
+/**
+ * parse a column or an allowlisted aggregate function, e.g. `count(id)`, 
+ * `count(DISTINCT house.id)` or `count(*)`, to sequelize
+ */
+function parseExpression (expression, option, model, include, options) {
+
+  const match = /^(\w+)\(\s*(DISTINCT\s+)?(\*|[`"\w.]+)\s*\)$/i
+    .exec(String(expression).trim());
+
+  if (!match) {
+    return resolveColumn(expression, model, include);
+  }
+
+  const functions = (options && options.query && options.query.functions) ||
+    defaultFunctions;
+
+  const name = match[1].toLowerCase();
+
+  if (functions.indexOf(name) === -1)
+    throw expressionError(option, expression, 'function is not allowed');
+
+  const sequelize = model.sequelize;
+
+  let column;
+
+  if (match[3] === '*') {
+
+    if (name !== 'count' || match[2])
+      throw expressionError(option, expression);
+
+    column = sequelize.literal('*');
+
+  } else {
+
+    const resolved = resolveColumn(match[3], model, include);
+
+    if (!resolved || !isAttributeReadable(resolved.model, resolved.attribute))
+      throw expressionError(option, expression, 'has unknown attributes');
+
+    column = sequelize.col(resolved.name);
+
+    if (match[2])
+      column = sequelize.fn('DISTINCT', column);
+
+  }
+
+  return { fn: sequelize.fn(name, column) };
+
+}
+
+function toItems (value) {
+
+  return switchByType(value, {
+    string   : () => value.split(/,/).map(item => item.trim()).filter(item => item),
+    array    : () => value,
+    defaults : () => [ value ]
+  });
+
+}
+
+/**
+ * `_attributes` accepts attributes, and `[expression, alias]` where
+ * the expression is an attribute, an attribute of an included 
+ * association, or an allowlisted aggregate function
+ */
+function parseAttributes (_attributes, model, include, options) {
+
+  if (_attributes === undefined || _attributes === null) {
+
+    const exclude = getUnreadableAttributes(model);
+
+    if (exclude.length) {
+      return { exclude };
+    }
+
+    return;
+
+  }
+
+  const ret = [];
+
+  let unreadable = 0;
+
+  toItems(_attributes).forEach(item => {
+
+    if ('string' === typeof item) {
+
+      const column = resolveColumn(item, model);
+
+      if (!column || column.path.length)
+        throw expressionError('_attributes', item, 'has unknown attributes');
+
+      if (isAttributeReadable(model, column.attribute))
+        ret.push(column.attribute);
+      else
+        unreadable++;
+
+      return;
+
+    }
+
+    if (!Array.isArray(item) || item.length !== 2 || 
+      !/^\w+$/.test(item[1]))
+      throw expressionError('_attributes', item);
+
+    const [ expression, alias ] = item;
+
+    const parsed = parseExpression(expression, '_attributes', model, include, options);
+
+    if (!parsed)
+      throw expressionError('_attributes', item, 'has unknown attributes');
+
+    if (parsed.fn) {
+      ret.push([ parsed.fn, alias ]);
+      return;
+    }
+
+    if (!isAttributeReadable(parsed.model, parsed.attribute)) {
+      unreadable++;
+      return;
+    }
+
+    ret.push([ parsed.path.length ? 
+      model.sequelize.col(parsed.name) : parsed.attribute, alias ]);
+
+  });
+
+  /**
+   * nothing would be selected if every attribute is unreadable
+   */
+  if (!ret.length && unreadable)
+    throw expressionError('_attributes', _attributes, 'has no readable attributes');
+
+  return ret;
+
+}
+
+function isAttributeSortable (model, attribute) {
+
+  const sortable = ((model.options || {}).restql || {}).sortable;
+
+  return !sortable || sortable.indexOf(attribute) !== -1;
+
+}
+
+/**
+ * `_order` accepts `name DESC`, `[name, DESC]`, attributes of included 
+ * associations like `house.name`, aliases of `_attributes` and 
+ * allowlisted aggregate functions, with ASC or DESC and NULLS FIRST or LAST
+ */
+function parseOrder (_order, model, include, aliases, options) {
+
+  if (_order === undefined || _order === null)
+    return _order;
+
+  const ret = [];
+
+  toItems(_order).forEach(item => {
+
+    let expression, direction;
+
+    if ('string' === typeof item) {
+
+      const match = 
+        /^(.*?)\s*((?:ASC|DESC)(?:\s+NULLS\s+(?:FIRST|LAST))?)?$/i.exec(item.trim());
+
+      expression = match[1];
+      direction  = match[2];
+
+    } else if (Array.isArray(item) && item.length && item.length <= 2) {
+
+      [ expression, direction ] = item;
+
+    } else {
+      throw expressionError('_order', item);
+    }
+
+    direction = (direction || 'ASC').trim().replace(/\s+/g, ' ').toUpperCase();
+
+    if (!/^(ASC|DESC)( NULLS (FIRST|LAST))?$/.test(direction))
+      throw expressionError('_order', item, 'has an invalid direction');
+
+    if ((aliases || []).indexOf(expression) !== -1) {
+      ret.push([ model.sequelize.col(expression), direction ]);
+      return;
+    }
+
+    const parsed = parseExpression(expression, '_order', model, include, options);
+
+    if (!parsed)
+      throw expressionError('_order', item, 'has unknown attributes');
+
+    if (parsed.fn) {
+      ret.push([ parsed.fn, direction ]);
+      return;
+    }
+
+    if (!isAttributeReadable(parsed.model, parsed.attribute))
+      return;
+
+    if (!isAttributeSortable(parsed.model, parsed.attribute))
+      throw errors.create(400, 'ATTRIBUTE_NOT_SORTABLE', 
+        `${parsed.attribute} is not sortable`, { 
+          model : parsed.model.name, 
+          field : parsed.attribute 
+        });
+
+    ret.push(parsed.path.map(association => ({ 
+      model: association.target, as: association.as 
+    })).concat([ parsed.attribute, direction ]));
+
+  });
+
+  return ret;
+
+}
+
+/**
+ * include associations of a path, e.g. `house.name` of `_sort` or 
+ * `_filter`, without attributes, unless they are included by `_include`
+ */
+function includePath (include, model, aliases, method, option, item) {
+
+  if (!aliases.length)
+    return include;
+
+  const [ alias ] = aliases;
+
+  const index = include.findIndex(included => 
+    getIncludeAssociation(included).as === alias);
+
+  let found = include[index];
+
+  if (!found) {
+
+    const association = model.associations[alias];
+
+    if (!association || shouldIgnoreInclude(method, association))
+      throw expressionError(option, item, 'has unknown associations');
+
+    if (!association.isSingleAssociation)
+      throw expressionError(option, item, 
+        `needs _include of the association ${alias}`);
+
+    found = { association, attributes: [], include: [] };
+    include.push(found);
+
+  } else if (aliases.length === 1) {
+
+    return include;
+
+  } else if (found === getIncludeAssociation(found)) {
+
+    found = { association: found, include: [] };
+    include[index] = found;
+
+  }
+
+  const association = getIncludeAssociation(found);
+
+  found.include = includePath(found.include || [], 
+    association.target, aliases.slice(1), undefined, option, item);
+
+  return include;
+
+}
+
+/**
+ * aliases of associations of a path, e.g. `['house']` of `house.name` 
+ * or of `character.house.name`
+ */
+function getPathAliases (path, model) {
+
+  const segments = path.split('.');
+
+  if (segments.length > 1 && segments[0] === model.name)
+    segments.shift();
+
+  return segments.slice(0, -1);
+
+}
+
+/**
+ * `_sort=-created_at,name,house.name` orders by attributes ascending, 
+ * or descending with a leading `-`, associations of paths are included
+ */
+function parseSort (_sort, model, include, method) {
+
+  if (_sort === undefined || _sort === null)
+    return { include };
+
+  const order = [];
+
+  include = (include || []).slice();
+
+  toItems(_sort).forEach(item => {
+
+    const match = 'string' === typeof item && 
+      /^([+-]?)\s*(\w+(?:\.\w+)*)$/.exec(item.trim());
+
+    if (!match)
+      throw expressionError('_sort', item);
+
+    include = includePath(include, model, 
+      getPathAliases(match[2], model), method, '_sort', item);
+
+    order.push([ match[2], match[1] === '-' ? 'DESC' : 'ASC' ]);
+
+  });
+
+  return { order, include };
+
+}
+
+/**
+ * `_group` accepts attributes and attributes of included associations
+ */
+function parseGroup (_group, model, include) {
+
+  if (_group === undefined || _group === null)
+    return _group;
+
+  return toItems(_group).map(item => {
+
+    const column = resolveColumn(item, model, include);
+
+    if (!column || !isAttributeReadable(column.model, column.attribute))
+      throw expressionError('_group', item, 'has unknown attributes');
+
+    return model.sequelize.col(column.name);
+
+  });
+
+}
+
+/**
+ * `_having` is checked like `where`, aliases of `_attributes` are 
+ * accepted as attributes
+ */
+function parseHaving (_having, model, include, aliases, options) {
+
+  if (_having === undefined)
+    return;
+
+  const having = checkReadableWhere(
+    parseBracketOperators(checkWhereObject(_having, '_having')), model, include);
+
+  checkWhere(_.omit(having, aliases), model, options, undefined, include);
+
+  aliases
+    .filter(alias => having[alias] !== undefined)
+    .forEach(alias => checkWhere(having[alias], model, options, alias));
+
+  return having;
+
+}
+
+/**
+ * `where` of `_through` is checked with the through model of a 
+ * belongsToMany association, and dropped on other routes
+ */
+function parseThrough (_through, association, options) {
+
+  if (_through === undefined)
+    return;
+
+  checkWhereObject(_through, '_through');
+
+  const model = association && association.through && association.through.model;
+
+  if (!model)
+    return;
+
+  const where = checkReadableWhere(
+    parseBracketOperators(checkWhereObject(_through.where, '_through.where')), model);
+
+  checkWhere(where, model, options);
+
+  return where === undefined ? undefined : { where };
+
+}
+
+/**
+ * indexes of a model, the primary key and unique keys included
+ */
+function getIndexes (model) {
+
+  const {
+    primaryKeys, options: { indexes, uniqueKeys }
+  } = model;
+
+  const idxes = [];
+
+  if (primaryKeys) {
+    const keys = Object.keys(primaryKeys);
+    if (keys.length) {
+      idxes.push({
+        name    : 'PRIMARY',
+        unique  : true,
+        primary : true,
+        fields  : keys
+      })
+    }
+  }
+
+  indexes.forEach(index => {
+    idxes.push({
+      unique : index.unique,
+      name   : index.name,
+      type   : index.type,
+      using  : index.using,
+      fields : index.fields
+    })
+  });
+
+  Object.keys(uniqueKeys).forEach(key => {
+    let uniqueKey = uniqueKeys[key]
+    idxes.push({
+      unique : true,
+      name   : uniqueKey.name,
+      fields : uniqueKey.fields
+    })
+  });
+
+  return idxes;
+
+}
+
+function toList (value) {
+
+  return switchByType(value, {
+    string   : () => value.split(/,/).map(item => item.trim()),
+    array    : () => value,
+    defaults : () => [ value ]
+  });
+
+}
+
+function escapeLike (value) {
+
+  return String(value).replace(/[\\%_]/g, '\\$&');
+
+}
+
+const likeOperators = ['$like', '$notLike', '$iLike', '$notILike'];
+
+/**
+ * backslashes of `escapeLike` only escape by default in MySQL and 
+ * PostgreSQL, `ESCAPE '\'` makes them escape in every dialect
+ */
+function toLikeLiteral (pattern, sequelize) {
+
+  return sequelize.literal(
+    `${sequelize.escape(pattern)} ESCAPE ${sequelize.escape('\\')}`);
+
+}
+
+/**
+ * patterns of like operators in `where` are replaced by literals 
+ * with an ESCAPE clause
+ */
+function escapeLikeOperators (where, sequelize) {
+
+  if (Array.isArray(where))
+    return where.map(item => escapeLikeOperators(item, sequelize));
+
+  if (!_.isPlainObject(where))
+    return where;
+
+  return _.mapValues(where, (value, key) => 
+    likeOperators.indexOf(key) !== -1 && 'string' === typeof value ? 
+      toLikeLiteral(value, sequelize) : escapeLikeOperators(value, sequelize));
+
+}
+
+function escapeIncludeLikeOperators (include, sequelize) {
+
+  return include.map(item => {
+
+    if (!_.isPlainObject(item))
+      return item;
+
+    const ret = _.assign({}, item);
+
+    if (ret.where)
+      ret.where = escapeLikeOperators(ret.where, sequelize);
+
+    if (ret.through && ret.through.where)
+      ret.through = _.assign({}, ret.through, { 
+        where: escapeLikeOperators(ret.through.where, sequelize) 
+      });
+
+    if (Array.isArray(ret.include))
+      ret.include = escapeIncludeLikeOperators(ret.include, sequelize);
+
+    return ret;
+
+  });
+
+}
+
+/**
+ * `*` is the wildcard of `like`, `%` and `_` are matched literally
+ */
+function toLikePattern (value) {
+
+  return escapeLike(value).replace(/\*/g, '%');
+
+}
+
+function toRange (value, key, operator) {
+
+  const range = toList(value);
+
+  if (range.length !== 2)
+    throw expressionError(`${key}[${operator}]`, value, 
+      'must be two values separated by a comma');
+
+  return range;
+
+}
+
+function toNull (value, key, operator) {
+
+  if ([ null, '', true, 'true', '1', 1 ].indexOf(value) !== -1)
+    return { $is: null };
+
+  if ([ false, 'false', '0', 0 ].indexOf(value) !== -1)
+    return { $not: null };
+
+  throw expressionError(`${key}[${operator}]`, value, 'must be true or false');
+
+}
+
+/**
+ * operators of the bracket syntax, e.g. `age[gte]=18`, and the sequelize 
+ * operators they are translated to
+ */
+const bracketOperators = {
+  eq         : (value) => ({ $eq: value }),
+  ne         : (value) => ({ $ne: value }),
+  gt         : (value) => ({ $gt: value }),
+  gte        : (value) => ({ $gte: value }),
+  lt         : (value) => ({ $lt: value }),
+  lte        : (value) => ({ $lte: value }),
+  like       : (value) => ({ $like: toLikePattern(value) }),
+  notLike    : (value) => ({ $notLike: toLikePattern(value) }),
+  in         : (value) => ({ $in: toList(value) }),
+  notIn      : (value) => ({ $notIn: toList(value) }),
+  null       : toNull,
+  between    : (value, key, operator) => ({ $between: toRange(value, key, operator) }),
+  notBetween : (value, key, operator) => ({ $notBetween: toRange(value, key, operator) })
+};
+
+function isBracketOperators (value) {
+
+  return _.isPlainObject(value) && !_.isEmpty(value) && 
+    Object.keys(value).every(key => bracketOperators.hasOwnProperty(key));
+
+}
+
+/**
+ * translate the bracket syntax, e.g. `{ age: { gte: 18 } }`, to sequelize 
+ * operators, e.g. `{ age: { $gte: 18 } }`, in `$or` and `$and` as well
+ */
+function parseBracketOperators (where) {
+
+  if (!_.isObject(where))
+    return where;
+
+  return switchByType(where, {
+    array  : () => where.map(parseBracketOperators),
+    object : () => _.mapValues(where, (value, key) => {
+
+      if (/^\$/.test(key))
+        return parseBracketOperators(value);
+
+      if (!isBracketOperators(value))
+        return value;
+
+      return _.assign({}, ...Object.keys(value).map(operator => 
+        bracketOperators[operator](value[operator], key, operator)));
+
+    })
+  });
+
+}
+
+function unionWhere (_where) {
+
+  return switchByType(_where, {
+    object : () => {
+  
+      let where;
+
+      Object.keys(_where).forEach(key => {
+        if (!/^_/.test(key)) {
+          where = where || {}
+          where[key] = _where[key]
+        }
+      });
+
+      return parseBracketOperators(where);
+    }
+  })
+}
+
+/**
+ * comparison operators of `_filter` and the bracket operators they are 
+ * translated to, `==` and `!=` with wildcards `*` are translated to 
+ * `like` and `notLike`
+ */
+const filterOperators = {
+  '=='        : 'eq',
+  '!='        : 'ne',
+  '=gt='      : 'gt',
+  '>'         : 'gt',
+  '=ge='      : 'gte',
+  '>='        : 'gte',
+  '=lt='      : 'lt',
+  '<'         : 'lt',
+  '=le='      : 'lte',
+  '<='        : 'lte',
+  '=in='      : 'in',
+  '=out='     : 'notIn',
+  '=null='    : 'null',
+  '=between=' : 'between',
+  '=like='    : 'like'
+};
+
+const listOperators = ['in', 'notIn', 'between'];
+
+/**
+ * translate a comparison of `_filter` to `where`, attributes of 
+ * associations are keyed like `$house.name$`
+ */
+function getFilterComparison (selector, comparator, value, model, include) {
+
+  const column = resolveColumn(selector, model, include);
+
+  if (!column)
+    throw expressionError('_filter', selector, 'has unknown attributes');
+
+  let operator = filterOperators[comparator];
+
+  if ('string' === typeof value && /\*/.test(value) && 
+    (operator === 'eq' || operator === 'ne'))
+    operator = operator === 'eq' ? 'like' : 'notLike';
+
+  if (listOperators.indexOf(operator) !== -1)
+    value = [].concat(value);
+  else if (Array.isArray(value))
+    throw expressionError('_filter', selector, 
+      `${comparator} does not accept a list of values`);
+
+  const key = column.path.length ? `$${column.name}$` : column.attribute;
+
+  return {
+    [ key ]: bracketOperators[operator](value, selector, operator)
+  };
+
+}
+
+/**
+ * parse the RSQL/FIQL `_filter`, e.g. `(name==Li*;age=gt=18),house.name==Stark`, 
+ * to `where`, `;` is AND and `,` is OR, and AND binds tighter than OR
+ */
+function parseFilter (_filter, model, include, method) {
+
+  if (_filter === undefined || _filter === null || _filter === '')
+    return { include };
+
+  if ('string' !== typeof _filter)
+    throw expressionError('_filter', _filter, 'must be a string');
+
+  let index = 0;
+
+  include = (include || []).slice();
+
+  const error = (detail) => 
+    expressionError('_filter', _filter, `${detail} at ${index}`);
+
+  const skip = () => {
+    while (/\s/.test(_filter.charAt(index)))
+      index ++;
+    return _filter.charAt(index);
+  };
+
+  const read = (regex) => {
+    const match = regex.exec(_filter.slice(index));
+    if (match)
+      index += match[0].length;
+    return match && match[0];
+  };
+
+  const parseValue = () => {
+
+    const quote = skip();
+
+    if (quote !== '"' && quote !== '\'') {
+      const value = read(/^[^"'();,=!~<>\s]+/);
+      if (value === null)
+        throw error('expects a value');
+      return value;
+    }
+
+    let value = '';
+
+    for (index ++; index < _filter.length && _filter[index] !== quote; index ++) {
+      if (_filter[index] === '\\')
+        index ++;
+      value += _filter.charAt(index);
+    }
+
+    if (_filter[index] !== quote)
+      throw error('has an unterminated string');
+
+    index ++;
+
+    return value;
+
+  };
+
+  const parseArguments = () => {
+
+    if (skip() !== '(')
+      return parseValue();
+
+    const values = [];
+
+    do {
+      index ++;
+      values.push(parseValue());
+    } while (skip() === ',');
+
+    if (skip() !== ')')
+      throw error('expects )');
+
+    index ++;
+
+    return values;
+
+  };
+
+  const parseComparison = () => {
+
+    skip();
+
+    const selector = read(/^\w+(\.\w+)*/);
+
+    if (selector === null)
+      throw error('expects an attribute');
+
+    skip();
+
+    const start      = index;
+    const comparator = (read(/^(==|!=|=[a-z]+=|[<>]=?)/i) || '').toLowerCase();
+
+    if (!filterOperators[comparator]) {
+      index = start;
+      throw error(comparator ? 'has an unknown operator' : 'expects an operator');
+    }
+
+    include = includePath(include, model, 
+      getPathAliases(selector, model), method, '_filter', selector);
+
+    return getFilterComparison(selector, comparator, parseArguments(), 
+      model, include);
+
+  };
+
+  const parseConstraint = () => {
+
+    if (skip() !== '(')
+      return parseComparison();
+
+    index ++;
+
+    const where = parseOr();
+
+    if (skip() !== ')')
+      throw error('expects )');
+
+    index ++;
+
+    return where;
+
+  };
+
+  const parseList = (separator, operator, parseItem) => {
+
+    const items = [ parseItem() ];
+
+    while (skip() === separator) {
+      index ++;
+      items.push(parseItem());
+    }
+
+    return items.length === 1 ? items[0] : { [ operator ]: items };
 
-  const {
-    object, array, string, bool, number, defaults
-  } = callbacks;
+  };
 
-  let callback;
+  const parseAnd = () => parseList(';', '$and', parseConstraint);
+  const parseOr  = () => parseList(',', '$or', parseAnd);
 
-  switch (typeof param) {
-    case 'object':
-      if (Array.isArray(param)) {
-        callback = array;
-      } else {
-        callback = object;
-      }
-      break
-    case 'string':
-      callback = string;
-      break
-    case 'boolean':
-      callback = bool;
-      break
-    case 'number':
-      callback = number;
-      break
-    default:
-      callback = defaults;
-      break
-  }
+  const where = parseOr();
 
-  if (callback !== undefined) {
-    if ('function' === typeof callback) {
-      return callback(param);
-    } else {
-      return callback;
-    }
-  }
-}
+  if (skip())
+    throw error('has an unexpected character');
 
-function shouldIgnoreAssociation (method, options) {
+  return { where, include };
 
-  options = options || {}
+}
 
-  let ignore  = options.ignore;
+function getIndexFields (index) {
 
-  return switchByType(ignore, {
-    array : () => 
-      ignore.find(ignoreMethod => ignoreMethod.toLowerCase() === method),
-    bool  : () => ignore
-  });
+  return (index.fields || []).map(field => 
+    'string' === typeof field ? field : field.attribute || field.name);
 
 }
 
-function parseAttributes (_attributes, attributes) {
-  let attrs;
+/**
+ * full-text searches of dialects, used when a full-text index of the 
+ * searched columns is found
+ */
+const fullTextSearches = {
+  mysql : {
+    isIndex : (index) => /^fulltext$/i.test(index.type),
+    search  : (columns, term) => 
+      `MATCH (${columns.join(', ')}) AGAINST (${term} IN NATURAL LANGUAGE MODE)`
+  },
+  postgres : {
+    isIndex : (index) => /^(gin|gist)$/i.test(index.using),
+    search  : (columns, term) => 
+      `to_tsvector(concat_ws(' ', ${columns.join(', ')})) @@ plainto_tsquery(${term})`
+  },
+  sqlite : {
+    isIndex : (index) => /^fulltext$/i.test(index.type),
+    search  : (columns, term) => 
+      `(${columns.map(column => `${column} MATCH ${term}`).join(' OR ')})`
+  }
+};
+
+fullTextSearches.mariadb = fullTextSearches.mysql;
+
+/**
+ * search columns of a model or of an included association, with a 
+ * full-text index covering all of them, or else one by one with a 
+ * full-text index or LIKE
+ */
+function getSearchConditions (alias, model, attributes, term) {
+
+  const sequelize = model.sequelize;
+  const dialect   = sequelize.getDialect();
+  const generator = sequelize.getQueryInterface().QueryGenerator;
+  const fullText  = fullTextSearches[dialect];
+  const indexes   = fullText ? 
+    getIndexes(model).filter(fullText.isIndex).map(getIndexFields) : [];
+
+  const fields  = attributes.map(attribute => 
+    model.attributes[attribute].field || attribute);
+  const columns = fields.map(field => 
+    `${generator.quoteIdentifier(alias)}.${generator.quoteIdentifier(field)}`);
 
-  if (_attributes)
+  const isIndexed = (fields) => indexes.some(indexFields => 
+    indexFields.length === fields.length && 
+    fields.every(field => indexFields.indexOf(field) !== -1));
+
+  if (isIndexed(fields))
+    return [ sequelize.literal(fullText.search(columns, sequelize.escape(term))) ];
+
+  return fields.map((field, index) => {
+
+    if (isIndexed([ field ]))
+      return sequelize.literal(
+        fullText.search([ columns[index] ], sequelize.escape(term)));
+
+    return sequelize.where(sequelize.col(`${alias}.${field}`), {
+      [ dialect === 'postgres' ? '$iLike' : '$like' ]: 
+        toLikeLiteral(`%${escapeLike(term)}%`, sequelize)
+    });
 
-  return switchByType(_attributes, {
-    array  : () => (_attributes.filter(attr => attributes[attr])),
-    string : () => (_attributes.split(/,/).filter(attr => attributes[attr]))
   });
+
 }
 
-function unionWhere (_where) {
+/**
+ * `_q` searches `searchable` attributes of the model, and attributes of 
+ * included associations listed by paths, e.g. `house.name`
+ */
+function parseSearch (_q, model, include) {
 
-  return switchByType(_where, {
-    object : () => {
-  
-      let where;
+  if (_q === undefined || _q === null || _q === '')
+    return;
 
-      Object.keys(_where).forEach(key => {
-        if (!/^_/.test(key)) {
-          where = where || {}
-          where[key] = _where[key]
-        }
-      });
+  if ('string' !== typeof _q)
+    throw expressionError('_q', _q, 'must be a string');
+
+  const searchable = ((model.options || {}).restql || {}).searchable || [];
+  const groups     = {};
+
+  searchable.forEach(item => {
+
+    const column = resolveColumn(item, model, include);
+
+    if (!column || !isAttributeReadable(column.model, column.attribute))
+      return;
+
+    const alias = column.path.length ? 
+      column.path.map(association => association.as).join('.') : model.name;
+
+    groups[alias] = groups[alias] || { model: column.model, attributes: [] };
+    groups[alias].attributes.push(column.attribute);
+
+  });
+
+  if (_.isEmpty(groups))
+    throw errors.create(400, 'MODEL_NOT_SEARCHABLE', 
+      `${model.name} has no searchable attributes`, { model: model.name });
+
+  return {
+    $or: _.flatten(Object.keys(groups).map(alias => getSearchConditions(
+      alias, groups[alias].model, groups[alias].attributes, _q)))
+  };
 
-      return where;
-    }
-  })
 }
 
-function parseInclude (_include, associations, method) {
+function parseInclude (_include, associations, method, options) {
 
   return switchByType(_include, {
     string : () => {
@@ -98,9 +1719,18 @@ function parseInclude (_include, associations, method) {
       if (!association)
         return
 
-      if (shouldIgnoreAssociation(method, association.options.restql)) 
+      if (shouldIgnoreInclude(method, association)) 
         return
 
+      /**
+       * unreadable attributes are not selected, rows of `_raw` are not 
+       * picked by `after`
+       */
+      const exclude = getUnreadableAttributes(association.target);
+
+      if (exclude.length)
+        return { association, attributes: { exclude } }
+
       return association
     },
 
@@ -119,13 +1749,28 @@ function parseInclude (_include, associations, method) {
       if (!association)
         return;
 
-      let options = association.options;
-
-      if (shouldIgnoreAssociation(method,options.restql))
+      if (shouldIgnoreInclude(method, association))
         return;
 
+      where      = checkReadableWhere(parseBracketOperators(
+        checkWhereObject(where, '_include.where')), association.target);
+      attributes = parseAttributes(attributes, association.target, [], options);
+
+      checkWhere(where, association.target, options);
+
+      if (through && through.where && association.through && 
+        association.through.model) {
+        through = _.assign({}, through, {
+          where: checkReadableWhere(parseBracketOperators(
+            checkWhereObject(through.where, '_include.through.where')), 
+            association.through.model)
+        });
+        checkWhere(through.where, association.through.model, options);
+      }
+
       if (_include.include) {
-        include = unionInclude(_include.include, association.target.associations);
+        include = unionInclude(_include.include, 
+          association.target.associations, undefined, options);
       }
 
       return {
@@ -138,22 +1783,22 @@ function parseInclude (_include, associations, method) {
 
 }
 
-function unionInclude (_include, associations, method) {
+function unionInclude (_include, associations, method, options) {
 
   return switchByType(_include, {
     array: () => {
       return _include
-        .map(item => parseInclude(item, associations, method))
+        .map(item => parseInclude(item, associations, method, options))
         .filter(item => item);
     },
 
     object: () => {
-      let include = parseInclude(_include, associations, method);
+      let include = parseInclude(_include, associations, method, options);
       return include ? [ include ] : [];
     },
 
     string: () => {
-      let include = parseInclude(_include, associations, method);
+      let include = parseInclude(_include, associations, method, options);
       return include ? [ include ] : [];
     },
 
@@ -170,15 +1815,382 @@ function unionLimit (_limit, options) {
 
 }
 
-function parseQuery (query, model, method, options) {
+/**
+ * `options.query.maxLimit` bounds `_limit`, an unlimited `_limit=null` 
+ * included. exceeded limits are rejected with 400, or clamped with 
+ * `options.query.exceeded = 'clamp'`. the default limit, which replaces 
+ * an absent or zero `_limit`, is always clamped
+ */
+function boundLimit (limit, _limit, options) {
+
+  const {
+    maxLimit, exceeded
+  } = options.query;
+
+  if (!maxLimit || (limit !== undefined && limit <= maxLimit))
+    return limit;
+
+  if (exceeded === 'clamp' || (_limit !== null && !+_limit))
+    return +maxLimit;
+
+  throw errors.create(400, 'LIMIT_EXCEEDED', 
+    `_limit must not be greater than ${maxLimit}`, { maxLimit: +maxLimit });
+
+}
+
+/**
+ * `options.query.maxIncludeDepth` bounds the depth of nested includes, 
+ * and `options.query.maxIncludes` the count of all includes
+ */
+function boundInclude (include, options) {
+
+  const {
+    maxIncludeDepth, maxIncludes, exceeded
+  } = options.query;
+
+  let count = 0;
+
+  const bound = (include, depth) => include.filter(item => {
+
+    if (maxIncludeDepth && depth > maxIncludeDepth) {
+
+      if (exceeded !== 'clamp')
+        throw errors.create(400, 'INCLUDE_DEPTH_EXCEEDED', 
+          `_include must not be deeper than ${maxIncludeDepth}`, { 
+            maxIncludeDepth: +maxIncludeDepth 
+          });
+
+      return false;
+
+    }
+
+    if (maxIncludes && ++count > maxIncludes) {
+
+      if (exceeded !== 'clamp')
+        throw errors.create(400, 'INCLUDES_EXCEEDED', 
+          `_include must not have more than ${maxIncludes} associations`, { 
+            maxIncludes: +maxIncludes 
+          });
+
+      return false;
+
+    }
+
+    if (item.include && item.include.length)
+      item.include = bound(item.include, depth + 1);
+
+    return true;
+
+  });
+
+  return bound(include, 1);
+
+}
+
+function cursorError (detail) {
+
+  return errors.create(400, 'INVALID_CURSOR', detail);
+
+}
+
+/**
+ * cursors are opaque to clients, they are base64url encoded JSON of
+ * the direction, the order and the values of the order columns
+ */
+function encodeCursor (direction, order, values) {
+
+  const cursor = {
+    d: direction,
+    o: order.map(item => item.join(' ')),
+    v: values
+  };
+
+  return Buffer.from(JSON.stringify(cursor)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+}
+
+function decodeCursor (token) {
+
+  try {
+
+    const cursor = JSON.parse(Buffer.from(String(token)
+      .replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+
+    if (['after', 'before'].indexOf(cursor.d) === -1 ||
+      !Array.isArray(cursor.o) || !Array.isArray(cursor.v))
+      throw cursor;
+
+    return cursor;
+
+  } catch (e) {
+    throw cursorError('cursor is malformed');
+  }
+
+}
+
+/**
+ * normalize the order to `[[attribute, 'ASC' | 'DESC']]`, the primary key 
+ * is appended as a tiebreaker, and is the implicit order
+ */
+function getCursorOrder (order, model) {
+
+  const primaryKey = model.primaryKeyAttribute || 'id';
+
+  const items = switchByType(order, {
+    string   : () => order.split(/,/).map(item => item.trim().split(/\s+/)),
+    array    : () => order.map(item => 'string' === typeof item ? 
+      item.trim().split(/\s+/) : item),
+    defaults : () => []
+  }).filter(item => Array.isArray(item) && item.length);
+
+  const ret = items.map(item => {
+
+    const [ attribute, direction ] = item;
+    const _direction = (direction || 'ASC').toUpperCase();
+
+    if (item.length > 2 || 'string' !== typeof attribute || 
+      !model.attributes[attribute] || ['ASC', 'DESC'].indexOf(_direction) === -1)
+      throw cursorError('_order must be attributes of the model with cursors');
+
+    /** keysets compare with `<` and `>`, which never match null values */
+    const definition = model.attributes[attribute];
+    if (attribute !== primaryKey && !definition.primaryKey && 
+      definition.allowNull !== false)
+      throw cursorError(`_order of cursors must not be null, ${attribute} allows null`);
+
+    return [ attribute, _direction ];
+
+  });
+
+  if (!ret.some(item => item[0] === primaryKey))
+    ret.push([ primaryKey, ret.length ? ret[ret.length - 1][1] : 'ASC' ]);
+
+  return ret;
+
+}
+
+/**
+ * `_cursor` starts or continues keyset pagination, `_after` and
+ * `_before` continue it in the specified direction
+ */
+function parseCursor (query, order, model) {
+
+  const token = [ '_before', '_after', '_cursor' ]
+    .map(key => query[key]).find(value => value !== undefined);
+
+  if (token === undefined)
+    return;
+
+  let direction = query._before !== undefined ? 'before' : 'after';
+  let values;
+
+  order = getCursorOrder(order, model);
+
+  if (token !== null && ['', 'true', '1'].indexOf(String(token)) === -1) {
+
+    const cursor = decodeCursor(token);
+
+    if (cursor.o.join() !== order.map(item => item.join(' ')).join() ||
+      cursor.v.length !== order.length)
+      throw cursorError('cursor does not match _order');
+
+    if (query._cursor === token)
+      direction = cursor.d;
+
+    values = cursor.v;
+
+  }
+
+  return { direction, order, values };
+
+}
+
+/**
+ * build the query to find rows of a page by cursor, one more row is 
+ * found to know whether there is a next page. rows before a cursor 
+ * are found in the reversed order
+ */
+function getCursorQuery (query, model) {
+
+  const {
+    direction, order, values
+  } = query.cursor;
+
+  const reversed = direction === 'before';
+
+  const cursorQuery = _.omit(query, ['cursor', 'offset']);
+
+  cursorQuery.order = order.map(item => [ item[0], 
+    (item[1] === 'ASC') === !reversed ? 'ASC' : 'DESC' ]);
+
+  if (query.limit)
+    cursorQuery.limit = query.limit + 1;
+
+  if (Array.isArray(query.attributes))
+    cursorQuery.attributes = _.union(query.attributes, order.map(item => item[0]));
+
+  if (!values)
+    return cursorQuery;
+
+  const getValue = (attribute, index) => {
+    const type = model.attributes[attribute].type || {};
+    return type.key === 'DATE' && values[index] !== null ? 
+      new Date(values[index]) : values[index];
+  }
+
+  const $or = cursorQuery.order.map((item, index) => {
+
+    const where = {};
+
+    cursorQuery.order.slice(0, index).forEach((item, index) => {
+      where[item[0]] = getValue(item[0], index);
+    });
+
+    where[item[0]] = {};
+    where[item[0]][item[1] === 'ASC' ? '$gt' : '$lt'] = getValue(item[0], index);
+
+    return where;
+
+  });
+
+  cursorQuery.where = { $and: [ query.where || {}, { $or } ] };
+
+  return cursorQuery;
+
+}
+
+/**
+ * take a page from rows found by `getCursorQuery`, and the cursors 
+ * of the next and the previous pages
+ */
+function getCursorPage (query, rows) {
+
+  const {
+    direction, order, values
+  } = query.cursor;
+
+  const limit   = query.limit || rows.length;
+  const hasMore = rows.length > limit;
+  const getValues = (row) => order.map(item => 
+    row && 'function' === typeof row.get ? row.get(item[0]) : row[item[0]]);
+
+  rows = rows.slice(0, limit);
+
+  if (direction === 'before')
+    rows.reverse();
+
+  const first = rows[0];
+  const last  = rows[rows.length - 1];
+
+  let next, prev;
+
+  if (rows.length) {
+
+    if (direction === 'before' || hasMore)
+      next = encodeCursor('after', order, getValues(last));
+
+    if (direction === 'before' ? hasMore : !!values)
+      prev = encodeCursor('before', order, getValues(first));
+
+  }
+
+  return { rows, next, prev };
+
+}
+
+/**
+ * `_count=0` skips the COUNT query of lists, and `_count=estimated` 
+ * estimates it, the default could be specified by model options
+ */
+function parseCount (count) {
+
+  if (count === undefined || count === null)
+    return;
+
+  if (count === 'estimated')
+    return count;
+
+  return ['0', 'false', false, 0].indexOf(count) === -1;
+
+}
+
+/**
+ * underscore querystrings which are documented, others are 
+ * forwarded to sequelize verbatim unless `options.query.unknown` is set
+ */
+const queryOptions = [
+  '_include', '_where', '_attributes', '_order', '_sort', '_q', '_filter', 
+  '_limit', '_offset', '_distinct', '_subQuery', '_ignoreDuplicates', 
+  '_count', '_cursor', '_after', '_before', '_group', '_having', '_through', 
+  '_joinTableAttributes'
+];
+
+function getUnknownIncludes (_include, associations, method, path) {
+
+  const items = Array.isArray(_include) ? _include : 
+    (_include === undefined || _include === null ? [] : [ _include ]);
+
+  return items.reduce((unknown, item) => {
+
+    const name = _.isPlainObject(item) ? item.association : item;
+    const association = associations[name];
+    const key = `${path}.${name}`;
+
+    if (!association || shouldIgnoreInclude(method, association))
+      return unknown.concat(key);
+
+    if (_.isPlainObject(item) && item.include)
+      return unknown.concat(getUnknownIncludes(
+        item.include, association.target.associations, undefined, key));
+
+    return unknown;
+
+  }, []);
+
+}
+
+/**
+ * get unknown underscore querystrings and unknown associations of 
+ * `_include`, e.g. `['_raw', '_include.friends']`
+ */
+function getUnknownQueryOptions (query, model, method) {
+
+  const unknown = Object.keys(query).filter(key => 
+    /^_/.test(key) && queryOptions.indexOf(key) === -1);
+
+  return unknown.concat(
+    getUnknownIncludes(query._include, model.associations, method, '_include'));
+
+}
+
+/**
+ * parse querystrings to options of sequelize, `association` is given by
+ * association routes to check `_through` with its through model
+ */
+function parseQuery (query, model, method, options, association) {
 
   const queryParsers = {
-    '_include'  : (include) => unionInclude(include, model.associations, method), 
+    '_include'  : (include) => 
+      unionInclude(include, model.associations, method, options), 
+    '_where'    : (where) => checkWhereObject(where, '_where'),
+    '_attributes' : () => undefined,
+    '_order'    : () => undefined,
+    '_sort'     : () => undefined,
+    '_q'        : () => undefined,
+    '_filter'   : () => undefined,
+    '_group'    : () => undefined,
+    '_having'   : () => undefined,
+    '_through'  : (through) => parseThrough(through, association, options),
     '_limit'    : (limit) => unionLimit(limit, options),
     '_offset'   : (offset) => +offset || 0,
     '_distinct' : (distinct) => !!+distinct,
     '_subQuery' : (subQuery) => subQuery === undefined ? subQuery : !!+subQuery,
-    '_ignoreDuplicates': (ignoreDuplicates) => !!+ignoreDuplicates
+    '_ignoreDuplicates': (ignoreDuplicates) => !!+ignoreDuplicates,
+    '_count'    : (count) => parseCount(count),
+    '_cursor'   : () => undefined,
+    '_after'    : () => undefined,
+    '_before'   : () => undefined
   }
 
   const parsedQuery = {}
@@ -200,17 +2212,99 @@ function parseQuery (query, model, method, options) {
 
   })
 
+  const filter = parseFilter(query._filter, model, parsedQuery.include, method);
+
+  if (filter.include && filter.include.length) {
+    parsedQuery.include = filter.include;
+  }
+
   parsedQuery.where = parsedQuery.where || {};
   _.assign(parsedQuery.where, unionWhere(query));
 
+  const wheres = [ parsedQuery.where, filter.where ]
+    .map(where => checkReadableWhere(where, model, parsedQuery.include))
+    .filter(where => !_.isEmpty(where));
+
+  parsedQuery.where = wheres.length > 1 ? { $and: wheres } : wheres[0] || {};
+
+  checkWhere(parsedQuery.where, model, options, undefined, parsedQuery.include);
+
+  const search = parseSearch(query._q, model, parsedQuery.include);
+
+  if (search) {
+    parsedQuery.where = _.isEmpty(parsedQuery.where) ? 
+      search : { $and: [ parsedQuery.where, search ] };
+  }
+
+  parsedQuery.attributes = 
+    parseAttributes(query._attributes, model, parsedQuery.include, options);
+
+  const aliases = Array.isArray(parsedQuery.attributes) ? 
+    parsedQuery.attributes.filter(Array.isArray).map(item => item[1]) : [];
+
+  const sort = parseSort(query._sort, model, parsedQuery.include, method);
+
+  if (sort.include && sort.include.length) {
+    parsedQuery.include = sort.include;
+  }
+
+  const _order = sort.order ? 
+    toItems(query._order || []).concat(sort.order) : query._order;
+
+  parsedQuery.order = parseOrder(_order, model, 
+    parsedQuery.include, aliases, options);
+
+  parsedQuery.group = parseGroup(query._group, model, parsedQuery.include);
+
+  const having = 
+    parseHaving(query._having, model, parsedQuery.include, aliases, options);
+
+  if (having !== undefined) {
+    parsedQuery.having = having;
+  }
+
   if (parsedQuery.limit === undefined) {
     parsedQuery.limit = queryParsers['_limit'](query._limit);
   }
 
+  parsedQuery.limit = boundLimit(parsedQuery.limit, query._limit, options);
+
+  if (parsedQuery.include) {
+    parsedQuery.include = boundInclude(parsedQuery.include, options);
+  }
+
   if (parsedQuery.offset === undefined) {
     parsedQuery.offset = queryParsers['_offset'](query._offset);
   }
 
+  if (parsedQuery.count === undefined) {
+    parsedQuery.count = parseCount(((model.options || {}).restql || {}).count);
+  }
+
+  parsedQuery.where = escapeLikeOperators(parsedQuery.where, model.sequelize);
+
+  if (parsedQuery.include) {
+    parsedQuery.include = 
+      escapeIncludeLikeOperators(parsedQuery.include, model.sequelize);
+  }
+
+  if (parsedQuery.having) {
+    parsedQuery.having = escapeLikeOperators(parsedQuery.having, model.sequelize);
+  }
+
+  if (parsedQuery.through) {
+    parsedQuery.through = { 
+      where: escapeLikeOperators(parsedQuery.through.where, model.sequelize) 
+    };
+  }
+
+  const cursor = parseCursor(query, parsedQuery.order, model);
+
+  if (cursor) {
+    parsedQuery.cursor = cursor;
+    parsedQuery.limit  = parsedQuery.limit || +options.query._limit;
+  }
+
   debug(parsedQuery);
 
   return parsedQuery;
@@ -218,5 +2312,24 @@ function parseQuery (query, model, method, options) {
 }
 
 module.exports.parseQuery              = parseQuery;
+module.exports.getUnknownQueryOptions  = getUnknownQueryOptions;
+module.exports.getIndexes              = getIndexes;
+module.exports.expressionError         = expressionError;
+module.exports.escapeLike              = escapeLike;
+module.exports.getCursorQuery          = getCursorQuery;
+module.exports.getCursorPage           = getCursorPage;
+module.exports.isAttributeReadable     = isAttributeReadable;
+module.exports.isAttributeWritable     = isAttributeWritable;
+module.exports.pickReadableValues      = pickReadableValues;
+module.exports.pickWritableValues      = pickWritableValues;
+module.exports.validateValues          = validateValues;
+module.exports.isAttributeRequired     = isAttributeRequired;
+module.exports.mergePatch              = mergePatch;
+module.exports.jsonPatchError          = jsonPatchError;
+module.exports.parseJSONPointer        = parseJSONPointer;
+module.exports.applyJSONPatch          = applyJSONPatch;
 module.exports.switchByType            = switchByType;
 module.exports.shouldIgnoreAssociation = shouldIgnoreAssociation;
+module.exports.shouldIgnoreModel       = shouldIgnoreModel;
+module.exports.shouldIgnoreInclude     = shouldIgnoreInclude;
+module.exports.shouldIgnoreRoute       = shouldIgnoreRoute;
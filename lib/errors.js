@@ -0,0 +1,130 @@
+'use strict'
+
+const _     = require('lodash');
+const http  = require('http');
+const debug = require('debug')('roas-restql:errors');
+
+/**
+ * Create a RestQL error, it will be responded as application/problem+json
+ *
+ * @param {Number} status HTTP status code
+ * @param {String} code   stable error code, e.g. `UNIQUE_CONSTRAINT`
+ * @param {String} detail
+ * @param {Object} [props={}] extra members of the problem, e.g. model, fields
+ */
+
+function create (status, code, detail, props) {
+
+  const error = new Error(`RestQL: ${detail}`);
+
+  error.name   = 'RestQLError';
+  error.status = status;
+  error.code   = code;
+  error.detail = detail;
+
+  _.assign(error, props);
+
+  return error;
+
+}
+
+function isRestQLError (error) {
+
+  return !!error && error.name === 'RestQLError';
+
+}
+
+/**
+ * build a RFC 7807 problem from a RestQL error
+ */
+function toProblem (ctx, error) {
+
+  const association = ctx.restql && ctx.restql.association;
+
+  const problem = {
+    type   : 'about:blank',
+    title  : http.STATUS_CODES[error.status],
+    status : error.status,
+    code   : error.code,
+    detail : error.detail
+  };
+
+  if (association) {
+    problem.association = association.as;
+  }
+
+  return _.assign(problem,
+    _.omit(error, ['name', 'message', 'stack', 'headers']));
+
+}
+
+/**
+ * build a JSON:API error document from a problem, members which are not
+ * of JSON:API error objects are moved into `meta`
+ */
+function toJSONAPIErrors (problem) {
+
+  const members = ['status', 'code', 'title', 'detail'];
+  const error   = _.pick(problem, members);
+  const meta    = _.omit(problem, members.concat('type'));
+
+  error.status = `${problem.status}`;
+
+  if (!_.isEmpty(meta)) {
+    error.meta = meta;
+  }
+
+  return { errors: [ error ] };
+
+}
+
+/**
+ * respond a RestQL error, `options.errors.format(problem, error, ctx)`
+ * could be used to customize the response body, and 
+ * `options.errors.notFoundStatus` to respond 204 for legacy clients, 
+ * JSON:API requests are responded with an error document
+ */
+function respond (ctx, error, options) {
+
+  options = options || {};
+
+  const {
+    format, notFoundStatus
+  } = options.errors || {};
+
+  if (error.code === 'NOT_FOUND' && notFoundStatus) {
+    error.status = notFoundStatus;
+  }
+
+  const headers = error.headers || {};
+  const problem = toProblem(ctx, error);
+
+  debug(problem);
+
+  for (let key in headers) {
+    ctx.set(key, headers[key]);
+  }
+
+  ctx.status = error.status;
+
+  if (ctx.status === 204)
+    return;
+
+  /**
+   * the type is set after the body, which sets `application/json` 
+   * for objects
+   */
+  if (!format && ctx.restql && ctx.restql.jsonapi) {
+    ctx.body = toJSONAPIErrors(problem);
+    ctx.type = 'application/vnd.api+json';
+  } else {
+    ctx.body = format ? format(problem, error, ctx) : problem;
+    ctx.type = 'application/problem+json';
+  }
+
+}
+
+module.exports.create        = create;
+module.exports.isRestQLError = isRestQLError;
+module.exports.toProblem     = toProblem;
+module.exports.respond       = respond;
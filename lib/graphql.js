@@ -0,0 +1,478 @@
+'use strict'
+
+const _       = require('lodash');
+const parse   = require('co-body');
+const debug   = require('debug')('roas-restql:graphql');
+const graphql = require('graphql');
+
+const common      = require('./common');
+const errors      = require('./errors');
+const middlewares = require('./middlewares');
+
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLScalarType,
+  GraphQLList, GraphQLNonNull, GraphQLInt, GraphQLFloat, GraphQLString,
+  GraphQLBoolean, Kind
+} = graphql;
+
+const capitalizeFirstLetter = (string) => {
+  return string.charAt(0).toUpperCase() + string.slice(1)
+}
+
+/**
+ * values of JSON attributes and `where` args
+ */
+const GraphQLJSON = new GraphQLScalarType({
+  name         : 'JSON',
+  serialize    : (value) => value,
+  parseValue   : (value) => value,
+  parseLiteral : parseJSONLiteral
+});
+
+const GraphQLDateTime = new GraphQLScalarType({
+  name         : 'DateTime',
+  serialize    : (value) => value instanceof Date ? value.toISOString() : value,
+  parseValue   : (value) => value,
+  parseLiteral : (ast) => ast.kind === Kind.STRING ? ast.value : undefined
+});
+
+const types = {
+  INTEGER  : GraphQLInt,
+  BIGINT   : GraphQLString,
+  FLOAT    : GraphQLFloat,
+  DOUBLE   : GraphQLFloat,
+  DECIMAL  : GraphQLString,
+  STRING   : GraphQLString,
+  CHAR     : GraphQLString,
+  TEXT     : GraphQLString,
+  UUID     : GraphQLString,
+  BOOLEAN  : GraphQLBoolean,
+  DATE     : GraphQLDateTime,
+  DATEONLY : GraphQLString,
+  ENUM     : GraphQLString,
+  JSON     : GraphQLJSON,
+  JSONB    : GraphQLJSON
+};
+
+/**
+ * args of list fields, which are parsed as `_limit`, `_offset`, `_sort`,
+ * `_filter` and the where querystrings
+ */
+const listArgs = {
+  limit  : { type: GraphQLInt },
+  offset : { type: GraphQLInt },
+  where  : { type: GraphQLJSON },
+  sort   : { type: GraphQLString },
+  filter : { type: GraphQLString }
+};
+
+function parseJSONLiteral (ast, variables) {
+
+  switch (ast.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+      return ast.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return +ast.value;
+    case Kind.NULL:
+      return null;
+    case Kind.LIST:
+      return ast.values.map(value => parseJSONLiteral(value, variables));
+    case Kind.OBJECT:
+      return _.fromPairs(ast.fields.map(field =>
+        [ field.name.value, parseJSONLiteral(field.value, variables) ]));
+    case Kind.VARIABLE:
+      return variables ? variables[ast.name.value] : undefined;
+  }
+
+}
+
+/**
+ * whether the route of a model or an association is loaded, ignored
+ * routes are not
+ */
+function isRouted (routes, method, model, association, single) {
+
+  return routes.some(route =>
+    route.method === method &&
+    route.model === model &&
+    route.association === (association || null) &&
+    (association || /\/:id$/.test(route.path) === !!single) &&
+    !route.ignored);
+
+}
+
+/**
+ * parse args of a list field as querystrings of `GET /user`
+ */
+function parseArgs (args, model, options) {
+
+  const where = _.omitBy(args.where, (value, key) => /^_/.test(key));
+
+  const query = _.assign({}, where, _.omitBy({
+    _limit  : args.limit,
+    _offset : args.offset,
+    _sort   : args.sort,
+    _filter : args.filter
+  }, _.isNil));
+
+  return _.omit(common.parseQuery(query, model, 'get', options),
+    ['count', 'cursor']);
+
+}
+
+/**
+ * run middlewares of a route with a context of its own, the request
+ * body and params are taken from args of the mutation, and the method
+ * is the one of the route, e.g. `POST` validates required attributes
+ */
+async function run (ctx, method, params, body, stack) {
+
+  const context = {
+    method  : method,
+    request : {
+      method : method,
+      body   : body,
+      is     : () => false
+    },
+    params  : params,
+    restql  : {
+      params   : {},
+      request  : {},
+      response : {},
+      query    : params.id ? { where: { id: params.id } } : {}
+    }
+  };
+
+  const dispatch = (i) => stack[i] ?
+    stack[i](context, () => dispatch(i + 1)) : Promise.resolve();
+
+  await dispatch(0);
+
+  return context.restql;
+
+}
+
+/**
+ * build object types of models lazily, attributes which are not readable
+ * and associations whose GET route is ignored are left out
+ */
+function getTypes (routes, options) {
+
+  const objectTypes = {};
+  const inputTypes  = {};
+
+  const getObjectType = (model) => {
+
+    if (objectTypes[model.name])
+      return objectTypes[model.name];
+
+    return objectTypes[model.name] = new GraphQLObjectType({
+      name   : model.name,
+      fields : () => {
+
+        const fields = {};
+
+        Object.keys(model.attributes).forEach(key => {
+
+          const attribute = model.attributes[key];
+
+          if (!common.isAttributeReadable(model, key))
+            return;
+
+          const type = types[(attribute.type || {}).key] || GraphQLString;
+
+          fields[key] = {
+            type: attribute.allowNull === false ? new GraphQLNonNull(type) : type
+          };
+
+        });
+
+        Object.keys(model.associations).forEach(key => {
+
+          const association = model.associations[key];
+
+          const {
+            target, isSingleAssociation
+          } = association;
+
+          if (fields[key] || !isRouted(routes, 'GET', model, association))
+            return;
+
+          const name = association.options.name;
+          const get  = `get${capitalizeFirstLetter(
+            isSingleAssociation ? name.singular : name.plural)}`;
+
+          fields[key] = isSingleAssociation ? {
+            type    : getObjectType(target),
+            resolve : (row) => row[get]()
+          } : {
+            type    : new GraphQLList(getObjectType(target)),
+            args    : listArgs,
+            resolve : (row, args) => row[get](parseArgs(args, target, options))
+          };
+
+        });
+
+        return fields;
+
+      }
+    });
+
+  };
+
+  const getInputType = (model) => {
+
+    if (inputTypes[model.name])
+      return inputTypes[model.name];
+
+    const primaryKeys = model.primaryKeys || {};
+
+    return inputTypes[model.name] = new GraphQLInputObjectType({
+      name   : `${model.name}Input`,
+      fields : () => {
+
+        const fields = {};
+
+        Object.keys(model.attributes).forEach(key => {
+
+          const attribute = model.attributes[key];
+
+          if (primaryKeys[key] || !common.isAttributeWritable(model, key))
+            return;
+
+          fields[key] = { type: types[(attribute.type || {}).key] || GraphQLString };
+
+        });
+
+        return fields;
+
+      }
+    });
+
+  };
+
+  return { getObjectType, getInputType };
+
+}
+
+/**
+ * build a GraphQL schema from the route table of the router, queries and
+ * mutations of ignored routes are left out
+ *
+ * @param {Array}  routes `{ method, path, model, association, ignored }`
+ * @param {Object} [options={}]
+ */
+function build (routes, options) {
+
+  options = options || {};
+
+  const queries   = {};
+  const mutations = {};
+  const models    = _.uniq(routes.map(route => route.model));
+
+  const {
+    getObjectType, getInputType
+  } = getTypes(routes, options);
+
+  models.forEach(model => {
+
+    const name = _.camelCase(model.name);
+    const type = getObjectType(model);
+    const id   = { type: new GraphQLNonNull(GraphQLInt) };
+
+    if (isRouted(routes, 'GET', model, null, true)) {
+      queries[name] = {
+        type    : type,
+        args    : { id },
+        resolve : (root, args) => model.findById(args.id,
+          _.pick(common.parseQuery({}, model, 'get', options), ['attributes']))
+      };
+    }
+
+    if (isRouted(routes, 'GET', model)) {
+      queries[`${name}List`] = {
+        type    : new GraphQLList(type),
+        args    : listArgs,
+        resolve : (root, args) => model.findAll(parseArgs(args, model, options))
+      };
+    }
+
+    const input = { type: new GraphQLNonNull(getInputType(model)) };
+
+    if (isRouted(routes, 'POST', model)) {
+      mutations[`create${capitalizeFirstLetter(name)}`] = {
+        type    : type,
+        args    : { input },
+        resolve : async (root, args, ctx) => {
+
+          const restql = await run(ctx, 'POST', {}, args.input, [
+            middlewares.parseRequestBody(['object'], model, options),
+            middlewares.create(model)
+          ]);
+
+          return restql.response.body;
+
+        }
+      };
+    }
+
+    if (isRouted(routes, 'PUT', model, null, true)) {
+      mutations[`update${capitalizeFirstLetter(name)}`] = {
+        type    : type,
+        args    : { id, input },
+        resolve : async (root, args, ctx) => {
+
+          const restql = await run(ctx, 'PUT', { id: args.id }, args.input, [
+            middlewares.findById(model),
+            middlewares.parseRequestBody(['object'], model, options),
+            async function (ctx,next) {
+
+              const {
+                request, params
+              } = ctx.restql;
+
+              request.body = _.assign({},
+                params.data.dataValues, request.body, { id: args.id });
+
+              await next();
+
+            },
+            middlewares.upsert(model)
+          ]);
+
+          return restql.response.body;
+
+        }
+      };
+    }
+
+    if (isRouted(routes, 'DELETE', model, null, true)) {
+      mutations[`delete${capitalizeFirstLetter(name)}`] = {
+        type    : type,
+        args    : { id },
+        resolve : async (root, args, ctx) => {
+
+          const restql = await run(ctx, 'DELETE', { id: args.id }, null, [
+            middlewares.findById(model),
+            middlewares.destroy(model)
+          ]);
+
+          return restql.params.data;
+
+        }
+      };
+    }
+
+  });
+
+  debug(`${_.keys(queries).join()} ${_.keys(mutations).join()}`);
+
+  return new GraphQLSchema({
+    query    : new GraphQLObjectType({ name: 'Query', fields: queries }),
+    mutation : _.isEmpty(mutations) ? undefined :
+      new GraphQLObjectType({ name: 'Mutation', fields: mutations })
+  });
+
+}
+
+/**
+ * RestQL errors of resolvers are responded with the problem as `extensions`
+ */
+function formatError (ctx, error) {
+
+  const original  = error.originalError;
+  const formatted = graphql.formatError(error);
+
+  if (errors.isRestQLError(original)) {
+    formatted.message    = original.detail;
+    formatted.extensions = errors.toProblem(ctx, original);
+  }
+
+  return formatted;
+
+}
+
+/**
+ * `{ query, variables, operationName }` of the querystring of GET, or
+ * the body of POST, variables of GET are a JSON string
+ */
+async function getParams (ctx) {
+
+  if (ctx.method !== 'POST')
+    return _.assign({}, ctx.query, {
+      variables: ctx.query.variables && JSON.parse(ctx.query.variables)
+    });
+
+  return ctx.request.body || (await parse(ctx));
+
+}
+
+/**
+ * execute a GraphQL request, only queries are allowed by GET
+ */
+async function execute (ctx, schema) {
+
+  let params;
+
+  try {
+    params = await getParams(ctx);
+  } catch (error) {
+    throw errors.create(400, 'INVALID_BODY', 'GraphQL request is not valid JSON');
+  }
+
+  const {
+    query, variables, operationName
+  } = params || {};
+
+  if (!query || typeof query !== 'string') {
+    throw errors.create(400, 'INVALID_QUERY_EXPRESSION',
+      'query must be a GraphQL document', { option: 'query' });
+  }
+
+  let document;
+
+  try {
+    document = graphql.parse(query);
+  } catch (error) {
+    return { status: 400, body: { errors: [ graphql.formatError(error) ] } };
+  }
+
+  const validationErrors = graphql.validate(schema, document);
+
+  if (validationErrors.length) {
+    return { status: 400, body: { errors: validationErrors.map(graphql.formatError) } };
+  }
+
+  const operation = graphql.getOperationAST(document, operationName);
+
+  if (ctx.method !== 'POST' && operation && operation.operation !== 'query') {
+
+    const error = errors.create(405, 'METHOD_NOT_ALLOWED',
+      `${operation.operation} is not allowed by ${ctx.method}`);
+
+    error.headers = { 'Allow': 'POST' };
+
+    throw error;
+
+  }
+
+  const result = await graphql.execute({
+    schema, document, operationName,
+    contextValue   : ctx,
+    variableValues : variables
+  });
+
+  const body = { data: result.data };
+
+  if (result.errors) {
+    body.errors = result.errors.map(error => formatError(ctx, error));
+  }
+
+  return { status: result.data === undefined ? 400 : 200, body };
+
+}
+
+module.exports.build   = build;
+module.exports.execute = execute;
@@ -0,0 +1,293 @@
+'use strict'
+
+const _      = require('lodash');
+const debug  = require('debug')('roas-restql:jsonapi');
+
+const common = require('./common');
+const errors = require('./errors');
+
+const mediaType = 'application/vnd.api+json';
+
+/**
+ * JSON:API requests accept `application/vnd.api+json` before
+ * `application/json`, or have a body of `application/vnd.api+json`
+ */
+function isRequest (ctx) {
+
+  return !!ctx.request.is(mediaType) ||
+    ctx.accepts('application/json', mediaType) === mediaType;
+
+}
+
+function isResource (row) {
+
+  return !!row && !!row.Model && 'function' === typeof row.get;
+
+}
+
+/**
+ * whether a body is an instance or instances to be serialized
+ */
+function isResources (body) {
+
+  return Array.isArray(body) ? body.every(isResource) : isResource(body);
+
+}
+
+function getIdentifier (row) {
+
+  const key = row.Model.primaryKeyAttribute || 'id';
+  const id  = row.get(key);
+
+  return { type: row.Model.name, id: id === undefined || id === null ? id : `${id}` };
+
+}
+
+/**
+ * foreign keys of belongsTo associations are relationships instead of
+ * attributes
+ */
+function getBelongsToAssociations (model) {
+
+  return _.values(model.associations).filter(association =>
+    association.associationType === 'BelongsTo');
+
+}
+
+/**
+ * values of through models are not attributes, they are `meta` of the 
+ * resource or of its identifier in relationships
+ */
+function getMeta (row, values) {
+
+  const model = row.Model;
+
+  return _.pickBy(values, (value, name) => _.isPlainObject(value) &&
+    !model.attributes[name] && !model.associations[name]);
+
+}
+
+/**
+ * build a resource object of an instance, instances of includes are
+ * replaced by their identifiers and collected in `included`
+ */
+function toResource (row, included, primary) {
+
+  const model    = row.Model;
+  const values   = common.pickReadableValues(row);
+  const key      = model.primaryKeyAttribute || 'id';
+  const resource = getIdentifier(row);
+  const meta     = getMeta(row, values);
+
+  const belongsTo   = getBelongsToAssociations(model);
+  const foreignKeys = belongsTo.map(association => association.foreignKey);
+
+  const attributes    = {};
+  const relationships = {};
+
+  const include = (row) => {
+
+    const identifier = getIdentifier(row);
+    const meta       = getMeta(row, common.pickReadableValues(row));
+
+    const isIncluded = () => included.some(resource =>
+      resource.type === identifier.type && resource.id === identifier.id);
+
+    /**
+     * the resource could be included while its includes are built
+     */
+    if (!isIncluded()) {
+      const resource = toResource(row, included);
+      if (!isIncluded())
+        included.push(resource);
+    }
+
+    if (!_.isEmpty(meta))
+      identifier.meta = meta;
+
+    return identifier;
+
+  };
+
+  belongsTo.forEach(association => {
+
+    const id = values[association.foreignKey];
+
+    if (id === undefined)
+      return;
+
+    relationships[association.as] = { data: id === null ? null : {
+      type: association.target.name, id: `${id}`
+    } };
+
+  });
+
+  Object.keys(values).forEach(name => {
+
+    if (name === key || foreignKeys.indexOf(name) !== -1 || meta[name])
+      return;
+
+    if (!model.associations[name]) {
+      attributes[name] = values[name];
+      return;
+    }
+
+    const related = row.get(name);
+
+    relationships[name] = { data: Array.isArray(related) ?
+      related.map(include) : related ? include(related) : null };
+
+  });
+
+  resource.attributes = attributes;
+
+  if (!_.isEmpty(relationships))
+    resource.relationships = relationships;
+
+  if (primary && !_.isEmpty(meta))
+    resource.meta = meta;
+
+  return resource;
+
+}
+
+/**
+ * serialize instances of a response as a JSON:API document, `meta.total`
+ * is the count of the page
+ *
+ * @param {Object} body instance or instances
+ * @param {Object} [page] `{ count }` of `middlewares.pagination`
+ */
+function serialize (body, page) {
+
+  const isList = Array.isArray(body);
+
+  const included = [];
+  const data     = isList ?
+    body.map(row => toResource(row, included, true)) : toResource(body, included, true);
+
+  const doc = { data };
+
+  /**
+   * primary resources are not repeated in `included`
+   */
+  const primary = isList ? data : [ data ];
+
+  const rest = included.filter(resource => !primary.some(row =>
+    row.type === resource.type && row.id === resource.id));
+
+  if (rest.length)
+    doc.included = rest;
+
+  if (page && page.count !== null && page.count !== undefined)
+    doc.meta = { total: page.count };
+
+  return doc;
+
+}
+
+function invalidBody (detail, model) {
+
+  return errors.create(400, 'INVALID_BODY', detail, { model: model.name });
+
+}
+
+function parseResource (resource, model, method) {
+
+  if (!_.isPlainObject(resource))
+    throw invalidBody('JSON:API data must be resource objects', model);
+
+  if (resource.type !== model.name) {
+    throw errors.create(409, 'RESOURCE_TYPE_CONFLICT',
+      `${resource.type} is not the type of ${model.name}`, { model: model.name });
+  }
+
+  const key  = model.primaryKeyAttribute || 'id';
+  const body = _.assign({}, resource.attributes);
+  const relationships = {};
+
+  if (resource.id !== undefined)
+    body[key] = +resource.id;
+
+  _.forEach(resource.relationships, (relationship, name) => {
+
+    const association = model.associations[name];
+
+    const {
+      associationType
+    } = association || {};
+
+    const through = association && association.through && association.through.model;
+
+    if (!association ||
+      common.shouldIgnoreAssociation(method, association.options.restql) ||
+      associationType !== 'BelongsTo' && associationType !== 'BelongsToMany' ||
+      through && common.shouldIgnoreModel(method, through.options.restql))
+      throw invalidBody(`relationship ${name} cannot be linked`, model);
+
+    const data = (relationship || {}).data;
+    const isList = associationType === 'BelongsToMany';
+
+    if (data === undefined || (isList ? !Array.isArray(data) : Array.isArray(data)))
+      throw invalidBody(`relationship ${name} needs resource linkage`, model);
+
+    const ids = (isList ? data : [ data ]).filter(item => item !== null).map(item => {
+
+      if (!item || item.type !== association.target.name || item.id === undefined)
+        throw invalidBody(`relationship ${name} needs ${association.target.name} identifiers`, model);
+
+      return +item.id;
+
+    });
+
+    if (isList) {
+      relationships[name] = ids;
+    } else {
+      body[association.foreignKey] = ids.length ? ids[0] : null;
+    }
+
+  });
+
+  return { body, relationships };
+
+}
+
+/**
+ * parse a JSON:API document of a request to the body of RestQL,
+ * linkages of belongsTo associations are parsed as foreign keys, and
+ * linkages of belongsToMany associations of a single resource as 
+ * `relationships`
+ *
+ * @param {Object} doc `{ data }`
+ * @param {Object} model
+ * @param {String} method
+ */
+function parseBody (doc, model, method) {
+
+  if (!_.isPlainObject(doc) || doc.data === undefined)
+    throw invalidBody('JSON:API body must have data', model);
+
+  if (!Array.isArray(doc.data)) {
+    return parseResource(doc.data, model, method);
+  }
+
+  const parsed = doc.data.map(resource => parseResource(resource, model, method));
+
+  const linked = parsed.find(item => !_.isEmpty(item.relationships));
+
+  if (linked) {
+    throw invalidBody(`relationship ${_.keys(linked.relationships)[0]} ` + 
+      'cannot be linked in bulk', model);
+  }
+
+  debug(parsed);
+
+  return { body: parsed.map(item => item.body), relationships: {} };
+
+}
+
+module.exports.mediaType   = mediaType;
+module.exports.isRequest   = isRequest;
+module.exports.isResources = isResources;
+module.exports.serialize   = serialize;
+module.exports.parseBody   = parseBody;
@@ -4,6 +4,7 @@ const _           = require('lodash');
 const parse       = require('co-body');
 
 const debug       = require('debug')('roas-restql:loaders');
+const errors      = require('./errors');
 const middlewares = require('./middlewares');
 const methods     = require('./methods');
 const common      = require('./common');
@@ -35,13 +36,89 @@ function hasPluralAssociation (include) {
 
 }
 
+/**
+ * estimate the count of rows with the statistics of the table
+ */
+async function estimateCount (model) {
+
+  const sequelize = model.sequelize;
+  const tableName = model.getTableName();
+  const name      = tableName.tableName || tableName;
+
+  const queries = {
+    mysql    : ['SELECT TABLE_ROWS AS count FROM information_schema.TABLES ' + 
+      'WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?', [ name ]],
+    mariadb  : ['SELECT TABLE_ROWS AS count FROM information_schema.TABLES ' + 
+      'WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?', [ name ]],
+    postgres : ['SELECT reltuples AS count FROM pg_class WHERE relname = ?', [ name ]]
+  };
+
+  const query = queries[sequelize.getDialect()];
+
+  if (!query) 
+    return;
+
+  const rows = await sequelize.query(query[0], {
+    replacements : query[1],
+    type         : sequelize.QueryTypes.SELECT
+  });
+
+  return rows.length ? Math.max(+rows[0].count, 0) : undefined;
+
+}
+
+/**
+ * find rows of a list, `count` is `null` when the COUNT query is skipped 
+ * with `_count=0`, one more row is found to know whether there is a next 
+ * page. the count of a list without conditions could be estimated with 
+ * `_count=estimated`, otherwise the COUNT query is skipped as well
+ */
+async function findList (model, query) {
+
+  if (query.cursor) {
+    return { rows: await model.findAll(common.getCursorQuery(query, model)) };
+  }
+
+  const listQuery = _.omit(query, ['count', 'cursor']);
+
+  if (query.count !== false && query.count !== 'estimated') {
+    return model.findAndCount(listQuery);
+  }
+
+  const limit = listQuery.limit;
+
+  if (limit) {
+    listQuery.limit += 1;
+  }
+
+  /** 
+   * the extra row is found even if the count is estimated, so that the 
+   * page is found once whether the dialect supports estimation or not
+   */
+  const [ rows, count ] = await Promise.all([
+    model.findAll(listQuery), 
+    query.count === 'estimated' && _.isEmpty(query.where) ? 
+      estimateCount(model) : undefined
+  ]);
+
+  if (count === undefined) {
+    return { rows, count: null };
+  }
+
+  return {
+    rows  : limit ? rows.slice(0, limit) : rows, 
+    count : Math.max(count, (query.offset || 0) + rows.length)
+  };
+
+}
+
 /**
  * load GET /user and GET /user/:id
  */
 loaders.model.get = (router, base, model, options) => {
 
   router.get(base, 
-    middlewares.before(),
+    middlewares.before(options),
     middlewares.parseQuery(model, options),
     async function (ctx,next) {
 
@@ -53,16 +130,17 @@ loaders.model.get = (router, base, model, options) => {
         query.distinct = true;
       }
       
-      response.body = await model.findAndCount(query);
+      response.body = await findList(model, query);
 
       await next();
 
     },
-    middlewares.pagination(model),
+    middlewares.pagination(model, options),
+    middlewares.odataResponse(model, options),
     middlewares.after());
 
   router.get(`${base}/:id`, 
-    middlewares.before(),
+    middlewares.before(options),
     middlewares.parseQuery(model, options),
     async function (ctx,next) {
 
@@ -75,15 +153,14 @@ loaders.model.get = (router, base, model, options) => {
       response.body = await model.findById(id, query);
 
       if (!response.body) {
-        ctx.status = 204;
-        ctx.message = `RestQL: ${model.name} not found`;
-        return;
-        // ctx.throw(`RestQL: ${model.name} not found`, 404);
+        throw errors.create(404, 'NOT_FOUND', 
+          `${model.name} not found`, { model: model.name });
       }
 
       await next();
 
     },
+    middlewares.odataResponse(model, options),
     middlewares.after())
 
 }
@@ -94,11 +171,13 @@ loaders.model.get = (router, base, model, options) => {
 loaders.model.post = (router, base, model, options) => {
 
   router.post(base, 
-    middlewares.before(),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.before(options),
+    middlewares.parseRequestBody(['object', 'array'], model, options),
     middlewares.parseQuery(model, options),
     middlewares.create(model),
     middlewares.bulkCreate(model),
+    middlewares.linkRelationships(model),
+    middlewares.location(),
     middlewares.after());
 
 }
@@ -109,16 +188,17 @@ loaders.model.post = (router, base, model, options) => {
 loaders.model.put = (router, base, model, options) => {
 
   router.put(base, 
-    middlewares.before(),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.before(options),
+    middlewares.parseRequestBody(['object', 'array'], model, options),
     middlewares.upsert(model),
     middlewares.bulkUpsert(model),
+    middlewares.linkRelationships(model),
     middlewares.after());
 
   router.put(`${base}/:id`, 
-    middlewares.before(),
+    middlewares.before(options),
     middlewares.findById(model),
-    middlewares.parseRequestBody(['object']),
+    middlewares.parseRequestBody(['object'], model, options),
     async function (ctx,next) {
 
       const {
@@ -131,6 +211,29 @@ loaders.model.put = (router, base, model, options) => {
 
     }, 
     middlewares.upsert(model),
+    middlewares.linkRelationships(model),
+    middlewares.after());
+
+}
+
+/**
+ * load PATCH /user/:id
+ */
+loaders.model.patch = (router, base, model, options) => {
+
+  router.patch(`${base}/:id`, 
+    middlewares.before(options),
+    middlewares.parseRequestBody(['object', 'array'], model, options),
+    async function (ctx,next) {
+
+      ctx.restql.query = ctx.restql.query || {};
+      ctx.restql.query.where = { id: +ctx.params.id };
+
+      await next();
+
+    },
+    middlewares.patch(model),
+    middlewares.linkRelationships(model),
     middlewares.after());
 
 }
@@ -141,13 +244,13 @@ loaders.model.put = (router, base, model, options) => {
 loaders.model.del = (router, base, model, options) => {
 
   router.del(base, 
-    middlewares.before(),
+    middlewares.before(options),
     middlewares.parseQuery(model, options),
     middlewares.destroy(model),
     middlewares.after());
 
   router.del(`${base}/:id`,
-    middlewares.before(),
+    middlewares.before(options),
     middlewares.findById(model),
     async function (ctx,next) {
       
@@ -185,7 +288,7 @@ loaders.model.association.singular.get = (router, base, model, association, opti
   const get = `get${capitalizeFirstLetter(singular)}`;
 
   router.get(base,
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.parseQuery(association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
@@ -203,10 +306,8 @@ loaders.model.association.singular.get = (router, base, model, association, opti
       if (!data){
         response.body = null;
 
-        ctx.status = 204;
-        ctx.message = `RestQL: ${as} not found`;
-        return;
-        // ctx.throw(`RestQL: ${as} not found`, 404);
+        throw errors.create(404, 'NOT_FOUND', 
+          `${as} not found`, { model: association.target.name });
       }
 
       response.body = data;
@@ -232,8 +333,8 @@ loaders.model.association.singular.hasOne.put = (router, base, model, associatio
   }
 
   router.put(base,
-    middlewares.before(),
-    middlewares.parseRequestBody(['object']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object'], association.target, options),
     middlewares.findById(model, query),
     async function (ctx,next) {
 
@@ -274,8 +375,8 @@ loaders.model.association.singular.belongsTo.put = (router, base, model, associa
   }
 
   router.put(base,
-    middlewares.before(),
-    middlewares.parseRequestBody(['object']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object'], association.target, options),
     middlewares.findById(model, query),
     async function (ctx,next) {
 
@@ -316,6 +417,49 @@ loaders.model.association.singular.belongsTo.put = (router, base, model, associa
 
 }
 
+/**
+ * load PATCH /gameofthrones/house/:id/seat or PATCH /gameofthrones/seat/:id/house
+ */
+loaders.model.association.singular.patch = (router, base, model, association, options) => {
+
+  const {
+    as
+  } = association;
+
+  const {
+    singular
+  } = association.options.name;
+
+  const get = `get${capitalizeFirstLetter(singular)}`;
+
+  router.patch(base,
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
+    middlewares.findById(model),
+    async function (ctx,next) {
+
+      const {
+        params
+      } = ctx.restql;
+
+      const data = await params.data[get]();
+
+      if (!data) {
+        throw errors.create(404, 'NOT_FOUND', 
+          `${model.name} ${as} not found`, { model: association.target.name });
+      }
+
+      ctx.restql.query = ctx.restql.query || {};
+      ctx.restql.query.where = { id: data.id };
+
+      await next();
+
+    },
+    middlewares.patch(association.target),
+    middlewares.after());
+
+}
+
 /**
  * load DELETE /house/:id/seat or DELETE /seat/:id/house
  */
@@ -330,7 +474,7 @@ loaders.model.association.singular.del = (router, base, model, association, opti
   }
 
   router.del(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model, query),
     async function (ctx,next) {
 
@@ -343,10 +487,8 @@ loaders.model.association.singular.del = (router, base, model, association, opti
       } = response;
 
       if (!body[as]) {
-        ctx.status = 204;
-        ctx.message = `RestQL: ${model.name} ${as} not found`;
-        return;           
-        // ctx.throw(`RestQL: ${model.name} ${as} not found`, 404);
+        throw errors.create(404, 'NOT_FOUND', 
+          `${model.name} ${as} not found`, { model: association.target.name });
       }
 
       await body[as].destroy();
@@ -446,7 +588,7 @@ loaders.model.association.plural.get = (router, base, model, association, option
   const queryGenerator = queryGenerators[associationTypeName];
 
   router.get(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.parseQuery(association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
@@ -465,17 +607,17 @@ loaders.model.association.plural.get = (router, base, model, association, option
 
       const parsedQuery = queryGenerator(query, body.id)
 
-      response.body = 
-        await target.findAndCount(parsedQuery);
+      response.body = await findList(target, parsedQuery);
 
       await next();
 
     },
-    middlewares.pagination(association.target),
+    middlewares.pagination(association.target, options),
+    middlewares.odataResponse(association.target, options),
     middlewares.after());
 
   router.get(`${base}/:associationId`, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.parseQuery(association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
@@ -497,12 +639,10 @@ loaders.model.association.plural.get = (router, base, model, association, option
         await target.findOne(parsedQuery);
 
       if (!data){
-         response.body = null;
+        response.body = null;
 
-         ctx.status = 204;
-         ctx.message = `RestQL: ${model.name} not found`;
-         return;
-        // ctx.throw(`RestQL: ${model.name} not found`, 404);
+        throw errors.create(404, 'NOT_FOUND', 
+          `${as} not found`, { model: target.name });
       }
 
       response.body = data;
@@ -510,6 +650,7 @@ loaders.model.association.plural.get = (router, base, model, association, option
       await next();
 
     },
+    middlewares.odataResponse(target, options),
     middlewares.after())
 
 }
@@ -524,8 +665,8 @@ loaders.model.association.plural.hasMany.post = (router, base, model, associatio
   } = association;
 
   router.post(base, 
-    middlewares.before(),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
     middlewares.parseQuery(model, options),
     middlewares.findById(model),
     async function (ctx,next) {
@@ -550,6 +691,7 @@ loaders.model.association.plural.hasMany.post = (router, base, model, associatio
     },
     middlewares.create(association.target),
     middlewares.bulkCreate(association.target),
+    middlewares.location(),
     middlewares.after());
 
 }
@@ -570,9 +712,9 @@ loaders.model.association.plural.belongsToMany.post = (router, base, model, asso
   const get = `get${capitalizeFirstLetter(plural)}`;
 
   router.post(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
     middlewares.parseQuery(model, options),
     middlewares.findOrUpsert(association.target),
     middlewares.bulkFindOrUpsert(association.target),
@@ -623,6 +765,7 @@ loaders.model.association.plural.belongsToMany.post = (router, base, model, asso
       await next();
 
     },
+    middlewares.location(),
     middlewares.after());
 
 }
@@ -630,15 +773,15 @@ loaders.model.association.plural.belongsToMany.post = (router, base, model, asso
 /**
  * load PUT /user/:id/characters and PUT /user/:id/tags/:associationId
  */
-loaders.model.association.plural.hasMany.put = (router, base, model, association) => {
+loaders.model.association.plural.hasMany.put = (router, base, model, association, options) => {
 
   const {
     foreignKey
   } = association;
 
   router.put(base, 
-    middlewares.before(),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
 
@@ -669,8 +812,8 @@ loaders.model.association.plural.hasMany.put = (router, base, model, association
     middlewares.after());
 
   router.put(`${base}/:associationId`,
-    middlewares.before(),
-    middlewares.parseRequestBody(['object']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object'], association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
 
@@ -707,9 +850,9 @@ loaders.model.association.plural.belongsToMany.put = (router, base, model, assoc
   const add = `add${capitalizeFirstLetter(plural)}`;
 
   router.put(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
-    middlewares.parseRequestBody(['object', 'array']),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
     middlewares.findOrUpsert(association.target),
     middlewares.bulkFindOrUpsert(association.target),
     async function (ctx,next) {
@@ -765,8 +908,8 @@ loaders.model.association.plural.belongsToMany.put = (router, base, model, assoc
     middlewares.after());
 
   router.put(`${base}/:associationId`,
-    middlewares.before(),
-    middlewares.parseRequestBody(['object']),
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object'], association.target, options),
     middlewares.findById(model),
     async function (ctx,next) {
 
@@ -805,6 +948,50 @@ loaders.model.association.plural.belongsToMany.put = (router, base, model, assoc
 
 }
 
+/**
+ * load PATCH /house/:id/members/:associationId or PATCH /user/:id/characters/:associationId
+ */
+loaders.model.association.plural.patch = (router, base, model, association, options) => {
+
+  const {
+    as
+  } = association;
+
+  const {
+    plural
+  } = association.options.name;
+
+  const get = `get${capitalizeFirstLetter(plural)}`;
+
+  router.patch(`${base}/:associationId`,
+    middlewares.before(options, association),
+    middlewares.parseRequestBody(['object', 'array'], association.target, options),
+    middlewares.findById(model),
+    async function (ctx,next) {
+
+      const {
+        params
+      } = ctx.restql;
+
+      const id   = +ctx.params.associationId;
+      const data = await params.data[get]({ where: { id } });
+
+      if (!data.length) {
+        throw errors.create(404, 'NOT_FOUND', 
+          `${as} not found`, { model: association.target.name });
+      }
+
+      ctx.restql.query = ctx.restql.query || {};
+      ctx.restql.query.where = { id };
+
+      await next();
+
+    },
+    middlewares.patch(association.target),
+    middlewares.after());
+
+}
+
 /**
  * load DELETE /user/:id/tags and DELETE /user/:id/tags/:associationId
  */
@@ -815,7 +1002,7 @@ loaders.model.association.plural.hasMany.del = (router, base, model, association
   } = association;
   
   router.del(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
     middlewares.parseQuery(model, options),
     async function (ctx,next) {
@@ -833,7 +1020,7 @@ loaders.model.association.plural.hasMany.del = (router, base, model, association
     middlewares.after());
 
   router.del(`${base}/:associationId`, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
     async function (ctx,next) {
 
@@ -847,10 +1034,8 @@ loaders.model.association.plural.hasMany.del = (router, base, model, association
         await association.target.findOne({ where });
 
       if (!data) {
-        ctx.status = 204;
-        ctx.message = `RestQL: ${as} cannot be found`;
-        return;
-        //ctx.throw(`RestQL: ${as} cannot be found`, 404);
+        throw errors.create(404, 'NOT_FOUND', 
+          `${as} cannot be found`, { model: association.target.name });
       }
 
       ctx.restql.query.where = where
@@ -880,7 +1065,7 @@ loaders.model.association.plural.belongsToMany.del = (router, base, model, assoc
   const remove = `remove${capitalizeFirstLetter(plural)}`;
 
   router.del(base, 
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
     middlewares.parseQuery(association.target, options),
     async function (ctx,next) {
@@ -901,7 +1086,7 @@ loaders.model.association.plural.belongsToMany.del = (router, base, model, assoc
     middlewares.after());
 
   router.del(`${base}/:associationId`,
-    middlewares.before(),
+    middlewares.before(options, association),
     middlewares.findById(model),
     middlewares.parseQuery(association.target, options),
     async function (ctx,next) {
@@ -917,10 +1102,8 @@ loaders.model.association.plural.belongsToMany.del = (router, base, model, assoc
       const data = await params.data[get](query);
 
       if (!data.length) {        
-        ctx.status = 204;
-        ctx.message = `RestQL: ${as} not found`;
-        return;
-        //ctx.throw(`RestQL: ${as} not found`, 404)
+        throw errors.create(404, 'NOT_FOUND', 
+          `${as} not found`, { model: association.target.name });
       } 
 
       await params.data[remove](data);
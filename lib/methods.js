@@ -3,5 +3,5 @@
 const debug = require('debug')('roas-restql:methods');
 
 module.exports = [
-  'get', 'post', 'put', 'del'
+  'get', 'post', 'put', 'patch', 'del'
 ];
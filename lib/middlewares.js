@@ -1,58 +1,20 @@
 'use strict'
 
-const qs     = require('qs');
-const _      = require('lodash');
-const parse  = require('co-body');
-const debug  = require('debug')('roas-restql:middlewares');
+const qs      = require('qs');
+const _       = require('lodash');
+const parse   = require('co-body');
+const debug   = require('debug')('roas-restql:middlewares');
 
-const common = require('./common');
+const common  = require('./common');
+const errors  = require('./errors');
+const odata   = require('./odata');
+const jsonapi = require('./jsonapi');
 
 const switchByType = common.switchByType;
 
-function _getIndexes (model) {
-
-  const {
-    primaryKeys, options: { indexes, uniqueKeys }
-  } = model;
-
-  const idxes = [];
-
-  if (primaryKeys) {
-    const keys = Object.keys(primaryKeys);
-    if (keys.length) {
-      idxes.push({
-        name    : 'PRIMARY',
-        unique  : true,
-        primary : true,
-        fields  : keys
-      })
-    }
-  }
-
-  indexes.forEach(index => {
-    idxes.push({
-      unique : index.unique,
-      name   : index.name,
-      fields : index.fields
-    })
-  });
-
-  Object.keys(uniqueKeys).forEach(key => {
-    let uniqueKey = uniqueKeys[key]
-    idxes.push({
-      unique : true,
-      name   : uniqueKey.name,
-      fields : uniqueKey.fields
-    })
-  });
-
-  return idxes;
-
-}
-
 function _getUniqueIndexes (model) {
   
-  return _getIndexes(model).filter(index => index.unique);
+  return common.getIndexes(model).filter(index => index.unique);
 
 }
 
@@ -94,10 +56,7 @@ async function _upsert (ctx,model, data) {
   const where = _getInstanceValidIndexFields(uniqueIndexes, data);
 
   if (!where) {
-    ctx.status = 400;
-    ctx.message = `RestQL: unique index fields cannot be found`;
-    return { created:null, data };
-    // ctx.throw('RestQL: unique index fields cannot be found', 400);
+    throw _uniqueIndexNotFoundError(model);
   }
 
   let created;
@@ -110,14 +69,10 @@ async function _upsert (ctx,model, data) {
   } catch (error) {
 
     if (error.name !== 'SequelizeUniqueConstraintError') {
-      throw new Error(error);
+      throw _sequelizeError(model, error, data);
     }
     
-    // const message = `RestQL: ${model.name} unique constraint error`;
-    // ctx.throw(message, 409);
-    ctx.status = 409;
-    ctx.message = `RestQL: ${model.name} unique constraint error`;
-    return { created, data };
+    throw _uniqueConstraintError(model, error);
 
   }
 
@@ -159,29 +114,26 @@ async function _bulkUpsert (ctx, model, data)  {
   }
 
   if (!isValid) {
-    ctx.status = 400;
-    ctx.message = `RestQL: array elements have different attributes`;
-    return data;
-    // ctx.throw('RestQL: array elements have different attributes', 400);
+    throw errors.create(400, 'INCONSISTENT_ATTRIBUTES', 
+      'array elements have different attributes', { model: model.name });
   }
 
   const $or = [];
   const uniqueIndexes = _getUniqueIndexes(model);
 
-  data.forEach(row => {
+  data.forEach((row, index) => {
 
     const where = _getInstanceValidIndexFields(uniqueIndexes, row);
 
     if (!where) {
-      ctx.status = 400;
-      ctx.message = `RestQL: unique index fields cannot be found`;
-      return data;
-      // ctx.throw('RestQL: unique index fields cannot be found', 400);
+      throw _uniqueIndexNotFoundError(model, index);
     }
 
     $or.push(where);
   })
 
+  await _validateRows(model, data, true);
+
   /**
    * ignoreDuplicates only work in mysql
    */
@@ -198,15 +150,11 @@ async function _bulkUpsert (ctx, model, data)  {
   } catch (error) {
 
     if (error.name !== 'SequelizeUniqueConstraintError') {
-      throw new Error(error);
+      throw _sequelizeError(model, error, data, 
+        await _getForeignKeyConstraintErrorIndex(model, error, data));
     }
     
-    // const message = `RestQL: ${model.name} unique constraint error`;
-    // ctx.throw(message, 409);
-
-    ctx.status = 409;
-    ctx.message = `RestQL: ${model.name} unique constraint error`;
-    return data;
+    throw _uniqueConstraintError(model, error, data);
   }
 
   data = 
@@ -255,6 +203,268 @@ function _getUniqueConstraintErrorFields (model, error) {
   }
 }
 
+/**
+ * the index of the row of a bulk body which has the values of fields
+ */
+function _getRowIndex (data, fields) {
+
+  if (!Array.isArray(data) || !fields)
+    return;
+
+  const index = data.findIndex(row => row && 
+    Object.keys(fields).every(key => fields[key] == row[key]));
+
+  return index === -1 ? undefined : index;
+
+}
+
+function _uniqueConstraintError (model, error, data) {
+
+  const fields = error && _getUniqueConstraintErrorFields(model, error);
+  const index  = _getRowIndex(data, fields);
+
+  const props = {
+    model  : model.name,
+    fields : fields
+  };
+
+  if (index !== undefined) {
+    props.index = index;
+  }
+
+  return errors.create(409, 'UNIQUE_CONSTRAINT', 
+    `${model.name} unique constraint error`, props);
+
+}
+
+function _uniqueIndexNotFoundError (model, index) {
+
+  return errors.create(400, 'UNIQUE_INDEX_NOT_FOUND',
+    'unique index fields cannot be found', {
+      model : model.name,
+      index
+    });
+
+}
+
+function _getValidationErrorItems (model, error, data, index) {
+
+  return (error.errors || []).map(item => {
+
+    const field     = item.path;
+    const attribute = model.attributes[field] || {};
+    const match     = /^Validation (\w+) failed$/.exec(item.message);
+    const rules     = Object.keys(attribute.validate || {});
+
+    let rule;
+
+    if (item.type === 'notNull Violation') {
+      rule = 'allowNull';
+    } else if (item.type === 'string violation') {
+      rule = 'type';
+    } else if (match) {
+      rule = match[1];
+    } else {
+      rule = rules.length === 1 ? rules[0] : 'validate';
+    }
+
+    const ret = {
+      field, rule,
+      message : item.message,
+      value   : _.isPlainObject(data) ? data[field] : undefined
+    };
+
+    if (index !== undefined) {
+      ret.index = index;
+    }
+
+    return ret;
+
+  });
+
+}
+
+function _validationError (model, items) {
+
+  return errors.create(422, 'VALIDATION_ERROR', 
+    `${model.name} validation error`, {
+      model  : model.name,
+      errors : items
+    });
+
+}
+
+function _getForeignKeyAssociation (model, error) {
+
+  return Object.keys(model.associations)
+    .map(key => model.associations[key])
+    .find(association => association.associationType === 'BelongsTo' && 
+      association.foreignKey === error.index);
+
+}
+
+/**
+ * find the referenced model of a foreign key constraint error
+ */
+function _getReferencedModel (model, error) {
+
+  const message = (error.parent && error.parent.message) || error.message || '';
+  const match   = /REFERENCES [`"]?([^`"\s(]+)[`"]?/.exec(message);
+  const models  = model.sequelize.models;
+
+  const association = _getForeignKeyAssociation(model, error);
+
+  if (association) {
+    return association.target.name;
+  }
+
+  if (match) {
+    const key = Object.keys(models).find(key => {
+      const tableName = models[key].getTableName();
+      return (tableName.tableName || tableName) === match[1];
+    });
+    return key ? models[key].name : match[1];
+  }
+
+}
+
+/**
+ * errors of bulk inserts do not tell the failing row, it is the first 
+ * row whose foreign key references no row of the associated model
+ */
+async function _getForeignKeyConstraintErrorIndex (model, error, data) {
+
+  if (error.name !== 'SequelizeForeignKeyConstraintError' || !Array.isArray(data))
+    return;
+
+  const association = _getForeignKeyAssociation(model, error);
+
+  if (!association)
+    return;
+
+  const foreignKey = association.foreignKey;
+  const targetKey  = association.targetKey || 
+    association.target.primaryKeyAttribute;
+
+  const values = _.uniq(data
+    .map(row => row && row[foreignKey])
+    .filter(value => value !== undefined && value !== null));
+
+  const rows = 
+    await association.target.findAll({
+      attributes : [ targetKey ],
+      where      : { [targetKey]: { $in: values } },
+      paranoid   : false
+    });
+
+  const referenced = rows.map(row => `${row.get(targetKey)}`);
+
+  const index = data.findIndex(row => row && 
+    row[foreignKey] !== undefined && row[foreignKey] !== null && 
+    referenced.indexOf(`${row[foreignKey]}`) === -1);
+
+  return index === -1 ? undefined : index;
+
+}
+
+function _foreignKeyConstraintError (model, error, status, index) {
+
+  const referencedModel = _getReferencedModel(model, error);
+
+  const props = {
+    model  : model.name,
+    fields : error.index ? [ error.index ] : error.fields,
+    referencedModel
+  };
+
+  if (index !== undefined) {
+    props.index = index;
+  }
+
+  return errors.create(status, 'FOREIGN_KEY_CONSTRAINT', 
+    `${model.name} foreign key constraint error`, props);
+
+}
+
+/**
+ * map errors of sequelize to RestQL errors, 
+ * unknown errors are still wrapped as Error, `index` is the index of 
+ * the failing row of a bulk body
+ */
+function _sequelizeError (model, error, data, index) {
+
+  switch (error.name) {
+    case 'SequelizeValidationError':
+      return _validationError(model, 
+        _getValidationErrorItems(model, error, data, index));
+    case 'SequelizeForeignKeyConstraintError':
+      return _foreignKeyConstraintError(model, error, 422, index);
+    default:
+      return new Error(error);
+  }
+
+}
+
+/**
+ * validate rows before bulkCreate, which does not validate rows,
+ * with the array index of every failing row
+ */
+async function _validateRows (model, rows, partial) {
+
+  const items = [];
+
+  for (let index = 0; index < rows.length; index ++) {
+
+    const row     = rows[index];
+    const options = partial ? { fields: Object.keys(row) } : {};
+
+    const error = 
+      await model.build(row).validate(options);
+
+    if (error) {
+      _getValidationErrorItems(model, error, row, index)
+        .forEach(item => items.push(item));
+    }
+
+  }
+
+  if (items.length) {
+    throw _validationError(model, items);
+  }
+
+}
+
+/**
+ * validate request bodies with attribute definitions, attributes 
+ * are required only when rows are created by POST
+ */
+function _validateRequestBody (ctx, model, body) {
+
+  const association = ctx.restql.association;
+  const ignored     = [];
+
+  let required = ctx.method === 'POST';
+
+  if (association) {
+    switch (association.associationType) {
+      case 'HasOne':
+      case 'HasMany':
+        ignored.push(association.foreignKey);
+        break;
+      case 'BelongsToMany':
+        required = false;
+        break;
+    }
+  }
+
+  const items = common.validateValues(body, model, { required, ignored });
+
+  if (items.length) {
+    throw _validationError(model, items);
+  }
+
+}
+
 function isDeleted (model, row) {
 
   const attributes   = model.attributes;
@@ -314,20 +524,15 @@ async function _handleUniqueConstraintError (ctx,model, error, options) {
 
   options = options || {};
 
-  const message = `RestQL: ${model.name} unique constraint error`;
-  const status  = 409;
-
   const fields           = _getUniqueConstraintErrorFields(model, error);
   const attributes       = model.attributes;
   const paranoid         = model.options.paranoid;
   const deletedAtCol     = model.options.deletedAt;
   const ignoreDuplicates = options.ignoreDuplicates;
+  const rows             = options.rows;
 
   if (!deletedAtCol || !paranoid){
-    ctx.status = status;
-    ctx.message = message;
-    return { row:null, fields };
-    // ctx.throw(message, status);
+    throw _uniqueConstraintError(model, error, rows);
   }
 
   let row = 
@@ -337,17 +542,11 @@ async function _handleUniqueConstraintError (ctx,model, error, options) {
     });
 
   if (!fields || !row) {
-    ctx.status = status;
-    ctx.message = message;
-    return { row, fields };
-    // ctx.throw(message, status);
+    throw _uniqueConstraintError(model, error, rows);
   }
 
   if (!ignoreDuplicates && !isDeleted(model, row)) {
-    ctx.status = status;
-    ctx.message = message;
-    return { row, fields };
-    // ctx.throw(message, status);
+    throw _uniqueConstraintError(model, error, rows);
   }
 
   for (let key in attributes) {
@@ -379,14 +578,12 @@ async function _create (ctx, model, data, options) {
   } catch (error) {
 
     if (error.name !== 'SequelizeUniqueConstraintError') {
-      throw new Error(error);
+      throw _sequelizeError(model, error, data);
     }
 
     const conflict = 
       await _handleUniqueConstraintError.call(this, ctx, model, error, options);
 
-    if(ctx.status === 409) return data;
-
     const { 
       row, fields 
     } = conflict;
@@ -408,23 +605,23 @@ async function _bulkCreate (ctx, model, data, options)  {
   const $or           = [];
   const conflicts     = [];
   const uniqueIndexes = _getUniqueIndexes(model);
+  const body          = data;
 
   data = data.slice();
 
-  data.forEach(row => {
+  data.forEach((row, index) => {
 
     const where = _getInstanceValidIndexFields(uniqueIndexes, row);
 
     if (!where) {
-      ctx.status = 400;
-      ctx.message = 'RestQL: unique index fields cannot be found';
-      return data;
-      // ctx.throw('RestQL: unique index fields cannot be found', 400);
+      throw _uniqueIndexNotFoundError(model, index);
     }
 
     $or.push(where);
   })
 
+  await _validateRows(model, data);
+
   while (true) {
 
     try {
@@ -434,13 +631,14 @@ async function _bulkCreate (ctx, model, data, options)  {
 
     } catch (error) {
       if (error.name !== 'SequelizeUniqueConstraintError') {
-        throw new Error(error);
+        throw _sequelizeError(model, error, data, 
+          await _getForeignKeyConstraintErrorIndex(model, error, body));
       }
 
       const conflict = 
-        await _handleUniqueConstraintError.call(this, ctx, model, error);
-
-      if(ctx.status === 409) return data;
+        await _handleUniqueConstraintError.call(this, ctx, model, error, { 
+          rows: body 
+        });
 
       const {
         row, fields
@@ -454,10 +652,11 @@ async function _bulkCreate (ctx, model, data, options)  {
         conflicts.push(conflict);
         data.splice(index, 1);
       } else {
-        ctx.status = 500;
-        ctx.message = 'RestQL: bulkCreate unique index field error';
-        return data;
-        // ctx.throw('RestQL: bulkCreate unique index field error', 500);
+        throw errors.create(500, 'UNIQUE_INDEX_FIELD_ERROR', 
+          'bulkCreate unique index field error', { 
+            model  : model.name,
+            fields 
+          });
       }
     }
 
@@ -475,15 +674,11 @@ async function _bulkCreate (ctx, model, data, options)  {
     } catch (error) {
 
       if (error.name !== 'SequelizeUniqueConstraintError') {
-        throw new Error(error);
+        throw _sequelizeError(model, error, data, 
+          await _getForeignKeyConstraintErrorIndex(model, error, body));
       }
 
-      // const message = `RestQL: ${model.name} unique constraint error`;
-      // ctx.throw(message, 409);
-
-      ctx.status = 409;
-      ctx.message = 'RestQL: ${model.name} unique constraint error';
-      return data;
+      throw _uniqueConstraintError(model, error, body);
     }
   }
 
@@ -516,15 +711,10 @@ async function _update (ctx,model, data, options) {
   } catch (error) {
 
     if (error.name !== 'SequelizeUniqueConstraintError') {
-      throw new Error(error);
+      throw _sequelizeError(model, error, data);
     }
 
-    const conflict = 
-      await _handleUniqueConstraintError.call(this, ctx, model, error);
-
-    if(ctx.status===409) return data;
-
-    const { row } = conflict;
+    await _handleUniqueConstraintError.call(this, ctx, model, error);
 
     /**
      * @FIXME
@@ -532,14 +722,102 @@ async function _update (ctx,model, data, options) {
      * and update again, now return 409 directly 
      * for conflict happens rarely
      */
-    // const message = `RestQL: ${model.name} unique constraint error`;
-    // ctx.throw(message, 409);
+    throw _uniqueConstraintError(model, error);
+  }
 
-    ctx.status = 409;
-    ctx.message = `RestQL: ${model.name} unique constraint error`;
-    return data;
+}
+
+function _getMergePatchValues (model, row, patch) {
+
+  const attributes  = model.attributes;
+  const primaryKeys = model.primaryKeys || {};
+
+  const values = {};
+
+  Object.keys(patch).forEach(key => {
+
+    if (!attributes[key] || primaryKeys[key])
+      return;
+
+    if (!common.isAttributeWritable(model, key))
+      return;
+
+    values[key] = common.mergePatch(row.get(key), patch[key]);
+
+  });
+
+  return values;
+
+}
+
+function _getJSONPatchValues (model, row, operations) {
+
+  const attributes  = model.attributes;
+  const primaryKeys = model.primaryKeys || {};
+
+  const document = JSON.parse(JSON.stringify(row.get({ plain: true })));
+
+  const getKey = (path) => {
+    const tokens = common.parseJSONPointer(path);
+    return tokens && tokens.length ? tokens[0] : undefined;
   }
 
+  /**
+   * `test` and `copy` read from paths, other operations write to paths,
+   * `move` reads and writes its `from`
+   */
+  operations.forEach((operation, index) => {
+
+    if (!operation)
+      return;
+
+    const op     = operation.op;
+    const reads  = [];
+    const writes = [];
+
+    if (op === 'test') {
+      reads.push(operation.path);
+    } else {
+      writes.push(operation.path);
+    }
+
+    if (op === 'copy' || op === 'move') {
+      reads.push(operation.from);
+    }
+
+    if (op === 'move') {
+      writes.push(operation.from);
+    }
+
+    reads.map(getKey).filter(key => key !== undefined).forEach(key => {
+      if (!attributes[key] || !common.isAttributeReadable(model, key)) {
+        throw common.jsonPatchError(`path /${key} does not exist`, index);
+      }
+    });
+
+    writes.map(getKey).filter(key => key !== undefined).forEach(key => {
+      if (!attributes[key] || primaryKeys[key] || 
+        !common.isAttributeWritable(model, key)) {
+        throw common.jsonPatchError(`cannot modify ${key}`, index);
+      }
+    });
+
+  });
+
+  const patched = common.applyJSONPatch(document, operations);
+  const values  = {};
+
+  Object.keys(attributes).forEach(key => {
+
+    if (primaryKeys[key] || _.isEqual(document[key], patched[key]))
+      return;
+
+    values[key] = patched[key] === undefined ? null : patched[key];
+
+  });
+
+  return values;
+
 }
 
 async function _findExistingRows (model, data) {
@@ -598,17 +876,31 @@ async function _findExistingRows (model, data) {
 
 }
 
-function before () {
+function before (options, association) {
   return async function (ctx,next) {
 
     debug(`RestQL: ${ctx.request.method} ${ctx.url}`);
 
-    ctx.restql          = ctx.restql || {};
-    ctx.restql.params   = ctx.restql.params   || {};
-    ctx.restql.request  = ctx.restql.request  || {};
-    ctx.restql.response = ctx.restql.response || {};
+    ctx.restql             = ctx.restql || {};
+    ctx.restql.params      = ctx.restql.params   || {};
+    ctx.restql.request     = ctx.restql.request  || {};
+    ctx.restql.response    = ctx.restql.response || {};
+    ctx.restql.association = association;
+    ctx.restql.jsonapi     = !!(options || {}).jsonapi && jsonapi.isRequest(ctx);
 
-    await next();
+    try {
+
+      await next();
+
+    } catch (error) {
+
+      if (!errors.isRestQLError(error)) {
+        throw error;
+      }
+
+      errors.respond(ctx, error, options);
+
+    }
 
   }
 }
@@ -621,7 +913,17 @@ function after () {
     } = ctx.restql
 
     ctx.response.status = response.status || 200;
-    ctx.response.body   = response.body;
+
+    /**
+     * JSON:API lists are responded with 200 and `meta.total`
+     */
+    if (ctx.restql.jsonapi && jsonapi.isResources(response.body)) {
+      ctx.response.status = ctx.response.status === 206 ? 200 : ctx.response.status;
+      ctx.response.body   = jsonapi.serialize(response.body, response.page);
+      ctx.response.type   = jsonapi.mediaType;
+    } else {
+      ctx.response.body   = common.pickReadableValues(response.body);
+    }
 
     const headers = response.headers || {};
 
@@ -636,6 +938,96 @@ function after () {
   }
 }
 
+function options (allowedMethods) {
+  return async function (ctx,next) {
+
+    const {
+      response
+    } = ctx.restql;
+
+    response.headers = response.headers || {};
+    response.headers['Allow'] = allowedMethods.join(', ');
+    response.status = 204;
+
+    await next();
+
+  }
+}
+
+function methodNotAllowed (allowedMethods) {
+  return async function (ctx,next) {
+
+    const error = errors.create(405, 'METHOD_NOT_ALLOWED', 
+      `${ctx.request.method} is not allowed`);
+
+    error.headers = {
+      'Allow': allowedMethods.join(', ')
+    };
+
+    throw error;
+
+  }
+}
+
+/**
+ * `Range: items=0-24` is an alternative to `_offset=0&_limit=25`,
+ * unsatisfiable or unknown ranges are ignored
+ */
+function _parseRangeHeader (ctx, query) {
+
+  const range = ctx.get('Range');
+  const match = /^items=(\d+)-(\d+)$/.exec(range.trim());
+
+  if (!match || ctx.method !== 'GET' && ctx.method !== 'HEAD')
+    return;
+
+  const start = +match[1];
+  const end   = +match[2];
+
+  if (end < start || query._offset !== undefined || query._limit !== undefined)
+    return;
+
+  query._offset = start;
+  query._limit  = end - start + 1;
+
+}
+
+/**
+ * unknown query options are forwarded to sequelize by default, 
+ * responded with 400 by `options.query.unknown = 'reject'`, and dropped 
+ * with a `Warning` header by `options.query.unknown = 'warn'`
+ */
+function _checkUnknownQueryOptions (ctx, query, model, options) {
+
+  const policy = (options.query || {}).unknown;
+
+  if (policy !== 'reject' && policy !== 'warn')
+    return query;
+
+  const unknown = common.getUnknownQueryOptions(
+    query, model, ctx.request.method.toLowerCase());
+
+  if (!unknown.length)
+    return query;
+
+  if (policy === 'reject') {
+    throw errors.create(400, 'UNKNOWN_QUERY_OPTIONS', 
+      `${unknown.join()} are unknown`, { 
+        model   : model.name,
+        options : unknown
+      });
+  }
+
+  const response = ctx.restql.response;
+
+  response.headers = response.headers || {};
+  response.headers['Warning'] = 
+    `299 - "Unknown query options are ignored: ${unknown.join(', ')}"`;
+
+  return _.omit(query, unknown);
+
+}
+
 function parseQuery (model, options) {
   return async function (ctx,next) {
 
@@ -643,10 +1035,22 @@ function parseQuery (model, options) {
       method, querystring
     } = ctx.request;
 
-    const query = ctx.restql.query || qs.parse(querystring, options.qs || {});
+    let query = ctx.restql.query;
 
-    ctx.restql.query = 
-      common.parseQuery(query, model, method.toLowerCase(), options);
+    if (!query) {
+      query = qs.parse(querystring, options.qs || {});
+      _parseRangeHeader(ctx, query);
+    }
+
+    if (options.odata && odata.isRequest(ctx, query)) {
+      ctx.restql.odata = { count: query.$count === 'true' };
+      query = odata.parseQuery(query);
+    }
+
+    query = _checkUnknownQueryOptions(ctx, query, model, options);
+
+    ctx.restql.query = common.parseQuery(query, model, 
+      method.toLowerCase(), options, ctx.restql.association);
 
     await next();
 
@@ -671,10 +1075,8 @@ function findById (model, query) {
       ctx.restql.params.data   = null;
       ctx.restql.response.body = null;
 
-      ctx.status = 204;
-      ctx.message = `RestQL: ${model.name} ${id} cannot be found`;
-      return;
-      // ctx.throw(`RestQL: ${model.name} ${id} cannot be found`, 404);
+      throw errors.create(404, 'NOT_FOUND', 
+        `${model.name} ${id} cannot be found`, { model: model.name });
     }
 
     ctx.restql.params.data   = data;
@@ -685,35 +1087,144 @@ function findById (model, query) {
   }
 }
 
-function pagination (model) {
+/**
+ * build a link of a page, which preserves the original query, with the 
+ * pagination querystrings replaced
+ */
+function _getLink (ctx, options, params) {
+
+  const path  = ctx.originalUrl.split('?')[0];
+  const query = qs.parse(ctx.request.querystring, options.qs || {});
+
+  const link = _.assign(_.omit(query, [
+    '_offset', '_limit', '_cursor', '_after', '_before', '$skip', '$top'
+  ]), params);
+
+  const querystring = qs.stringify(link, { 
+    strictNullHandling: (options.qs || {}).strictNullHandling 
+  });
+
+  return `${path}?${querystring}`;
+
+}
+
+/**
+ * build the `Link` header of pages
+ */
+function _getLinkHeader (ctx, options, links) {
+
+  return Object.keys(links).filter(rel => links[rel]).map(rel => 
+    `<${_getLink(ctx, options, links[rel])}>; rel="${rel}"`).join(', ');
+
+}
+
+function pagination (model, options) {
   return async function (ctx,next) {
 
+    options = options || {};
+
     const {
       response, params, query
     } = ctx.restql;
 
     const {
-      count, rows
-    } = response.body;
+      offset, limit, cursor
+    } = query;
 
     const {
-      offset, limit
-    } = query;
+      xRange
+    } = options.pagination || {};
+
+    response.headers = response.headers || {};
+
+    if (cursor) {
+
+      const page = common.getCursorPage(query, response.body.rows);
+
+      if (page.next)
+        response.headers['X-Next-Cursor'] = page.next;
+
+      if (page.prev)
+        response.headers['X-Prev-Cursor'] = page.prev;
+
+      const links = {
+        first : { _cursor: null, _limit: limit },
+        prev  : page.prev && { _cursor: page.prev, _limit: limit },
+        next  : page.next && { _cursor: page.next, _limit: limit }
+      };
+
+      response.headers['Link'] = _getLinkHeader(ctx, options, links);
+      response.page   = { next: links.next };
+      response.body   = page.rows;
+      response.status = 200;
+
+      return await next();
+
+    }
+
+    let {
+      count, rows
+    } = response.body;
 
     let status = 200;
 
-    const _count = switchByType(count, {
+    /**
+     * the count is unknown when the COUNT query is skipped, 
+     * one more row is found to know whether there is a next page
+     */
+    const _count = count === null ? null : switchByType(count, {
       'number' : (value) => value,
       'array'  : (value) => value.length
     });
 
-    const xRangeHeader = `objects ${offset}-${offset + rows.length}/${_count}`;
+    const hasMore = _count === null ? 
+      !!limit && rows.length > limit : offset + rows.length < _count;
 
-    if (_count > limit)
+    if (_count === null && limit) {
+      rows = rows.slice(0, limit);
+    }
+
+    if (_count === null ? hasMore || offset > 0 : _count > limit)
       status = 206;
 
-    response.headers = response.headers || {};
-    response.headers['X-Range'] = xRangeHeader;
+    const total = _count === null ? '*' : _count;
+
+    response.headers['Accept-Ranges'] = 'items';
+
+    if (rows.length) {
+      response.headers['Content-Range'] = 
+        `items ${offset}-${offset + rows.length - 1}/${total}`;
+    } else if (_count !== null) {
+      response.headers['Content-Range'] = `items */${_count}`;
+    }
+
+    response.page = { count: _count };
+
+    if (limit) {
+
+      const last = _count !== null && 
+        Math.max(Math.ceil(_count / limit) - 1, 0) * limit;
+
+      const links = {
+        first : { _offset: 0, _limit: limit },
+        prev  : offset > 0 && { _offset: Math.max(offset - limit, 0), _limit: limit },
+        next  : hasMore && { _offset: offset + limit, _limit: limit },
+        last  : _count !== null && { _offset: last, _limit: limit }
+      };
+
+      response.headers['Link'] = _getLinkHeader(ctx, options, links);
+      response.page.next = links.next;
+
+    }
+
+    /**
+     * the legacy header, its end index is exclusive
+     */
+    if (xRange) {
+      response.headers['X-Range'] = 
+        `objects ${offset}-${offset + rows.length}/${total}`;
+    }
+
     response.body   = rows;
     response.status = status;
 
@@ -722,6 +1233,57 @@ function pagination (model) {
   }
 }
 
+/**
+ * respond OData requests with `@odata.context`, and lists with `value`, 
+ * `@odata.count` of `$count=true` and `@odata.nextLink`
+ */
+function odataResponse (model, options) {
+  return async function (ctx,next) {
+
+    const {
+      response
+    } = ctx.restql;
+
+    if (!ctx.restql.odata) {
+      return await next();
+    }
+
+    const context = `${ctx.origin}/$metadata#${model.name}`;
+    const body    = common.pickReadableValues(response.body);
+
+    response.headers = response.headers || {};
+    response.headers['OData-Version'] = '4.0';
+
+    if (!Array.isArray(body)) {
+      response.body = _.assign({ '@odata.context': `${context}/$entity` }, body);
+      return await next();
+    }
+
+    const page = response.page || {};
+
+    response.body = { '@odata.context': context };
+
+    if (ctx.restql.odata.count && page.count !== null && page.count !== undefined) {
+      response.body['@odata.count'] = page.count;
+    }
+
+    response.body.value = body;
+
+    if (page.next) {
+      response.body['@odata.nextLink'] = ctx.origin + _getLink(ctx, options, 
+        page.next._cursor ? page.next : { 
+          $skip : page.next._offset, 
+          $top  : page.next._limit 
+        });
+    }
+
+    response.status = 200;
+
+    await next();
+
+  }
+}
+
 function upsert (model) {
   return async function (ctx,next) {
 
@@ -960,13 +1522,161 @@ function bulkCreate (model) {
   }
 }
 
-function parseRequestBody (allowedTypes) {
+/**
+ * link rows of belongsToMany associations by linkages of JSON:API bodies, 
+ * the through rows are upserted so that deleted ones are restored, and
+ * rows out of the linkages are unlinked
+ */
+function linkRelationships (model) {
+  return async function (ctx,next) {
+
+    const {
+      request, response
+    } = ctx.restql;
+
+    const row = response.body;
+    const relationships = request.relationships || {};
+
+    if (!row || Array.isArray(row) || _.isEmpty(relationships)) {
+      return await next();
+    }
+
+    for (let name in relationships) {
+
+      const ids = relationships[name];
+
+      const {
+        foreignKey, otherKey, through
+      } = model.associations[name];
+
+      const where = {};
+      where[foreignKey] = row.id;
+
+      if (ids.length) {
+        where[otherKey] = { $notIn: ids };
+      }
+
+      await through.model.destroy({ where });
+
+      const rows = ids.map(id => {
+        const data = {};
+        data[foreignKey] = row.id;
+        data[otherKey]   = id;
+        return data;
+      });
+
+      setDefaultDeletedValue(through.model, rows);
+      await _bulkUpsert.call(this, ctx, through.model, rows);
+
+    }
+
+    await next();
+
+  }
+}
+
+/**
+ * set Location for a created row, or Content-Location for created rows,
+ * with the collection path and primary keys
+ */
+function location () {
+  return async function (ctx,next) {
+
+    const {
+      response
+    } = ctx.restql;
+
+    const body = response.body;
+    const path = ctx.path.replace(/\/+$/, '');
+
+    const getPrimaryKey = (row) => 
+      (row.Model && row.Model.primaryKeyAttribute) || 'id';
+
+    if (response.status !== 201 || !body) {
+      return await next();
+    }
+
+    response.headers = response.headers || {};
+
+    switchByType(body, {
+      object : (row) => {
+        response.headers['Location'] = `${path}/${row[getPrimaryKey(row)]}`;
+      },
+      array  : (rows) => {
+
+        if (!rows.length)
+          return;
+
+        const key   = getPrimaryKey(rows[0]);
+        const query = {};
+
+        query[key] = rows.map(row => row[key]);
+
+        response.headers['Content-Location'] = `${path}?${qs.stringify(query)}`;
+
+      }
+    });
+
+    await next();
+
+  }
+}
+
+function parseRequestBody (allowedTypes, model, options) {
   return async function (ctx,next) {
 
-    const body = ctx.request.body 
+    options = options || {};
+
+    let body = ctx.request.body 
       || ctx.restql.request.body 
       || (await parse(ctx));
 
+    /**
+     * JSON:API documents are parsed to bodies, and linkages of 
+     * belongsToMany associations are linked by `linkRelationships`, 
+     * which only model routes have
+     */
+    if (model && ctx.restql.jsonapi && ctx.request.is(jsonapi.mediaType) 
+      && !ctx.restql.request.relationships) {
+
+      const parsed = jsonapi.parseBody(body, model, ctx.method.toLowerCase());
+      const linked = Object.keys(parsed.relationships);
+
+      if (ctx.restql.association && linked.length) {
+        throw errors.create(400, 'INVALID_BODY', 
+          `relationship ${linked[0]} cannot be linked by association routes`, { 
+            model: model.name 
+          });
+      }
+
+      body = parsed.body;
+      ctx.restql.request.relationships = parsed.relationships;
+
+    }
+
+    /**
+     * JSON Patch operations are checked with their paths
+     */
+    if (model && !ctx.request.is('application/json-patch+json')) {
+
+      const policy = (options.body || {}).readOnly;
+
+      const {
+        data, rejected
+      } = common.pickWritableValues(body, model);
+
+      if (rejected.length && policy === 'reject') {
+        throw errors.create(400, 'READ_ONLY_ATTRIBUTES', 
+          `${rejected.join()} cannot be written`, { 
+            model  : model.name,
+            fields : rejected
+          });
+      }
+
+      body = data;
+
+    }
+
     ctx.restql.request.body = ctx.request.body = body;
 
     if (!allowedTypes) {
@@ -979,14 +1689,101 @@ function parseRequestBody (allowedTypes) {
     })
 
     validators.defaults = () => {
-      // ctx.throw(`RestQL: ${allowedTypes.join()} body are supported`, 400);
-      ctx.status = 400;
-      ctx.message = 'RestQL: ${allowedTypes.join()} body are supported';
-      return;
+      throw errors.create(400, 'INVALID_BODY', 
+        `${allowedTypes.join()} body are supported`);
     }
 
     common.switchByType(body, validators);
 
+    if (model && (options.body || {}).validate 
+      && !ctx.request.is('application/json-patch+json')) {
+      _validateRequestBody(ctx, model, body);
+    }
+
+    await next();
+
+  }
+}
+
+function patch (model) {
+  return async function (ctx,next) {
+
+    const {
+      request, response
+    } = ctx.restql;
+
+    const query = ctx.restql.query || {};
+    const where = query.where || {};
+    const body  = request.body;
+
+    const isJSONPatch = !!ctx.request.is('application/json-patch+json');
+
+    if (isJSONPatch !== Array.isArray(body)) {
+      throw errors.create(400, 'INVALID_BODY', isJSONPatch 
+        ? 'JSON Patch body must be an array'
+        : 'merge patch body must be an object');
+    }
+
+    let row;
+
+    try {
+
+      /**
+       * read and write in one transaction, so that a failed operation
+       * or a failed `test` leaves the row untouched
+       */
+      row = 
+        await model.sequelize.transaction(async function (transaction) {
+
+          const row = 
+            await model.findOne({ 
+              where, 
+              transaction, 
+              lock: transaction.LOCK.UPDATE 
+            });
+
+          if (!row)
+            return row;
+
+          const data = isJSONPatch 
+            ? _getJSONPatchValues(model, row, body)
+            : _getMergePatchValues(model, row, body);
+
+          const fields = Object.keys(data);
+
+          if (fields.length) {
+            await model.update(data, { where, fields, transaction });
+          }
+
+          return row;
+
+        });
+
+    } catch (error) {
+
+      if (errors.isRestQLError(error)) {
+        error.model = model.name;
+        throw error;
+      }
+
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw _sequelizeError(model, error, body);
+      }
+
+      throw _uniqueConstraintError(model, error);
+
+    }
+
+    if (!row) {
+      throw errors.create(404, 'NOT_FOUND', 
+        `${model.name} cannot be found`, { model: model.name });
+    }
+
+    response.body = 
+      await model.findOne({ where });
+
+    response.status = 200;
+
     await next();
 
   }
@@ -999,9 +1796,21 @@ function destroy (model) {
     const where  = query.where || {};
     const status = 204;
 
-    await model.destroy({
-      where
-    });
+    try {
+
+      await model.destroy({
+        where
+      });
+
+    } catch (error) {
+
+      if (error.name !== 'SequelizeForeignKeyConstraintError') {
+        throw error;
+      }
+
+      throw _foreignKeyConstraintError(model, error, 409);
+
+    }
 
     ctx.restql.response.body=true;
     ctx.restql.response.status = status;
@@ -1010,16 +1819,22 @@ function destroy (model) {
   }
 }
 
-module.exports.before           = before;
-module.exports.after            = after;
-module.exports.pagination       = pagination;
-module.exports.parseRequestBody = parseRequestBody;
-module.exports.parseQuery       = parseQuery;
-module.exports.upsert           = upsert;
-module.exports.bulkUpsert       = bulkUpsert;
-module.exports.findOrUpsert     = findOrUpsert;
-module.exports.bulkFindOrUpsert = bulkFindOrUpsert;
-module.exports.create           = create;
-module.exports.bulkCreate       = bulkCreate;
-module.exports.destroy          = destroy;
-module.exports.findById         = findById;
+module.exports.before            = before;
+module.exports.after             = after;
+module.exports.options           = options;
+module.exports.methodNotAllowed  = methodNotAllowed;
+module.exports.pagination        = pagination;
+module.exports.odataResponse     = odataResponse;
+module.exports.parseRequestBody  = parseRequestBody;
+module.exports.parseQuery        = parseQuery;
+module.exports.upsert            = upsert;
+module.exports.bulkUpsert        = bulkUpsert;
+module.exports.findOrUpsert      = findOrUpsert;
+module.exports.bulkFindOrUpsert  = bulkFindOrUpsert;
+module.exports.create            = create;
+module.exports.bulkCreate        = bulkCreate;
+module.exports.patch             = patch;
+module.exports.destroy           = destroy;
+module.exports.location          = location;
+module.exports.linkRelationships = linkRelationships;
+module.exports.findById          = findById;
@@ -0,0 +1,617 @@
+'use strict'
+
+const _      = require('lodash');
+const debug  = require('debug')('roas-restql:odata');
+
+const common = require('./common');
+
+const systemQueryOptions = [
+  '$filter', '$select', '$expand', '$orderby', '$top', '$skip', '$count',
+  '$search', '$format'
+];
+
+const types = {
+  INTEGER  : { Type: 'Edm.Int32' },
+  BIGINT   : { Type: 'Edm.Int64' },
+  FLOAT    : { Type: 'Edm.Single' },
+  DOUBLE   : { Type: 'Edm.Double' },
+  DECIMAL  : { Type: 'Edm.Decimal' },
+  STRING   : { Type: 'Edm.String' },
+  CHAR     : { Type: 'Edm.String' },
+  TEXT     : { Type: 'Edm.String' },
+  UUID     : { Type: 'Edm.Guid' },
+  BOOLEAN  : { Type: 'Edm.Boolean' },
+  DATE     : { Type: 'Edm.DateTimeOffset' },
+  DATEONLY : { Type: 'Edm.Date' },
+  ENUM     : { Type: 'Edm.String' },
+  JSON     : { Type: 'Edm.String' },
+  JSONB    : { Type: 'Edm.String' }
+};
+
+/**
+ * tokens of `$filter`, spaces are skipped
+ */
+const tokenTypes = [
+  [ 'space',       /^\s+/ ],
+  [ 'string',      /^'((?:[^']|'')*)'/ ],
+  [ 'guid',        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?![\w-])/i ],
+  [ 'date',        /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?(?![\w-])/ ],
+  [ 'number',      /^-?\d+(\.\d+)?(e[+-]?\d+)?(?![\w-])/i ],
+  [ 'punctuation', /^[(),]/ ],
+  [ 'identifier',  /^[A-Za-z_]\w*(\/[A-Za-z_]\w*)*/ ]
+];
+
+const comparisons = {
+  eq : (value) => value === null ? { $is: null } : { $eq: value },
+  ne : (value) => value === null ? { $not: null } : { $ne: value },
+  gt : (value) => ({ $gt: value }),
+  ge : (value) => ({ $gte: value }),
+  lt : (value) => ({ $lt: value }),
+  le : (value) => ({ $lte: value })
+};
+
+const functions = {
+  contains   : (value) => ({ $like: `%${common.escapeLike(value)}%` }),
+  startswith : (value) => ({ $like: `${common.escapeLike(value)}%` }),
+  endswith   : (value) => ({ $like: `%${common.escapeLike(value)}` })
+};
+
+/**
+ * OData requests have system query options, or the `OData-Version` or
+ * `OData-MaxVersion` header
+ */
+function isRequest (ctx, query) {
+
+  return systemQueryOptions.some(key => query[key] !== undefined) ||
+    !!ctx.get('OData-Version') || !!ctx.get('OData-MaxVersion');
+
+}
+
+function tokenize (expression, option) {
+
+  const tokens = [];
+
+  let rest = expression;
+
+  while (rest) {
+
+    const tokenType = tokenTypes.find(tokenType => tokenType[1].test(rest));
+
+    if (!tokenType)
+      throw common.expressionError(option, expression,
+        `has an unexpected character at ${expression.length - rest.length}`);
+
+    const [ type, regex ] = tokenType;
+    const match = regex.exec(rest);
+
+    rest = rest.slice(match[0].length);
+
+    if (type === 'space')
+      continue;
+
+    const token = { type, text: match[0], value: match[0] };
+
+    if (type === 'string')
+      token.value = match[1].replace(/''/g, '\'');
+
+    if (type === 'number')
+      token.value = +match[0];
+
+    tokens.push(token);
+
+  }
+
+  return tokens;
+
+}
+
+/**
+ * split by a separator out of parentheses and quotes
+ */
+function split (value, separator) {
+
+  const items = [];
+
+  let depth = 0, quoted = false, item = '';
+
+  for (let char of String(value)) {
+
+    if (char === '\'')
+      quoted = !quoted;
+    else if (!quoted && char === '(')
+      depth ++;
+    else if (!quoted && char === ')')
+      depth --;
+
+    if (char === separator && !depth && !quoted) {
+      items.push(item.trim());
+      item = '';
+    } else {
+      item += char;
+    }
+
+  }
+
+  items.push(item.trim());
+
+  return items.filter(item => item);
+
+}
+
+/**
+ * `house/name` to the attribute key `$house.name$`, the associations of
+ * the path are collected to be included
+ */
+function getPropertyKey (property, paths) {
+
+  const segments = property.split('/');
+
+  if (segments.length === 1)
+    return property;
+
+  paths.push(segments.slice(0, -1));
+
+  return `$${segments.join('.')}$`;
+
+}
+
+/**
+ * parse `$filter`, e.g. `name eq 'Stark' and contains(words, 'Winter')`,
+ * to `where`
+ */
+function parseFilter ($filter, paths) {
+
+  const tokens = tokenize(String($filter), '$filter');
+
+  let index = 0;
+
+  const error = (detail) => common.expressionError('$filter', $filter, detail);
+
+  const peek = () => tokens[index] || {};
+
+  const accept = (text) => {
+    const token = peek();
+    if (token.text !== text ||
+      (token.type !== 'identifier' && token.type !== 'punctuation'))
+      return false;
+    index ++;
+    return true;
+  };
+
+  const expect = (text) => {
+    if (!accept(text))
+      throw error(`expects ${text}`);
+  };
+
+  const parseProperty = () => {
+    const token = tokens[index ++] || {};
+    if (token.type !== 'identifier')
+      throw error('expects a property');
+    return getPropertyKey(token.text, paths);
+  };
+
+  const parseLiteral = () => {
+
+    const token = tokens[index ++] || {};
+
+    if ([ 'string', 'number', 'date', 'guid' ].indexOf(token.type) !== -1)
+      return token.value;
+
+    const literals = { true: true, false: false, null: null };
+
+    if (token.type === 'identifier' && literals.hasOwnProperty(token.text))
+      return literals[token.text];
+
+    throw error('expects a literal');
+
+  };
+
+  const parsePrimary = () => {
+
+    if (accept('(')) {
+      const where = parseOr();
+      expect(')');
+      return where;
+    }
+
+    const token = peek();
+
+    if (functions[token.text] && (tokens[index + 1] || {}).text === '(') {
+
+      index += 2;
+
+      const key = parseProperty();
+
+      expect(',');
+
+      const value = parseLiteral();
+
+      if ('string' !== typeof value)
+        throw error(`${token.text} expects a string`);
+
+      expect(')');
+
+      return { [ key ]: functions[token.text](value) };
+
+    }
+
+    const key = parseProperty();
+
+    if (accept('in')) {
+
+      const values = [];
+
+      expect('(');
+
+      do {
+        values.push(parseLiteral());
+      } while (accept(','));
+
+      expect(')');
+
+      return { [ key ]: { $in: values } };
+
+    }
+
+    const operator = tokens[index ++] || {};
+
+    if (operator.type !== 'identifier' ||
+      !comparisons.hasOwnProperty(operator.text))
+      throw error('expects a comparison operator');
+
+    return { [ key ]: comparisons[operator.text](parseLiteral()) };
+
+  };
+
+  const parseNot = () => accept('not') ? { $not: parseNot() } : parsePrimary();
+
+  const parseList = (keyword, operator, parseItem) => {
+
+    const items = [ parseItem() ];
+
+    while (accept(keyword))
+      items.push(parseItem());
+
+    return items.length === 1 ? items[0] : { [ operator ]: items };
+
+  };
+
+  const parseAnd = () => parseList('and', '$and', parseNot);
+  const parseOr  = () => parseList('or', '$or', parseAnd);
+
+  const where = parseOr();
+
+  if (index < tokens.length)
+    throw error(`has an unexpected token ${tokens[index].text}`);
+
+  return where;
+
+}
+
+function parseSelect ($select, option) {
+
+  const items = split($select, ',');
+
+  if (items.indexOf('*') !== -1)
+    return;
+
+  items.forEach(item => {
+    if (!/^\w+$/.test(item))
+      throw common.expressionError(option, item, 'must be properties');
+  });
+
+  return items;
+
+}
+
+/**
+ * `$orderby=house/name desc,id` to `_order`
+ */
+function parseOrderby ($orderby, paths) {
+
+  return split($orderby, ',').map(item => {
+
+    const match =
+      /^([A-Za-z_]\w*(?:\/[A-Za-z_]\w*)*)(?:\s+(asc|desc))?$/.exec(item);
+
+    if (!match)
+      throw common.expressionError('$orderby', item);
+
+    const key = getPropertyKey(match[1], paths);
+
+    return [ key.replace(/^\$(.*)\$$/, '$1'), (match[2] || 'asc').toUpperCase() ];
+
+  });
+
+}
+
+function parseInteger (value, option) {
+
+  if (!/^\d+$/.test(value))
+    throw common.expressionError(option, value, 'must be a non-negative integer');
+
+  return +value;
+
+}
+
+/**
+ * include associations of paths without attributes, unless they are
+ * expanded already
+ */
+function includePaths (include, paths) {
+
+  paths.forEach(aliases => {
+
+    let items = include;
+
+    aliases.forEach(alias => {
+
+      let index = items.findIndex(item =>
+        (item.association || item) === alias);
+
+      if (index === -1) {
+        index = items.push({ association: alias, attributes: [] }) - 1;
+      } else if ('string' === typeof items[index]) {
+        items[index] = { association: alias };
+      }
+
+      items[index].include = items[index].include || [];
+      items = items[index].include;
+
+    });
+
+  });
+
+  return include;
+
+}
+
+/**
+ * `$expand=house,members($select=name;$filter=name eq 'Jon';$expand=seat)`
+ * to `_include`
+ */
+function parseExpand ($expand) {
+
+  return split($expand, ',').map(item => {
+
+    const match = /^([A-Za-z_]\w*)(?:\s*\((.*)\))?$/.exec(item);
+
+    if (!match)
+      throw common.expressionError('$expand', item);
+
+    const [ , association, options ] = match;
+
+    if (options === undefined)
+      return association;
+
+    const include = { association };
+    const paths   = [];
+
+    split(options, ';').forEach(option => {
+
+      const [ key ] = option.split('=', 1);
+      const value = option.slice(key.length + 1);
+
+      switch (key.trim()) {
+        case '$select':
+          include.attributes = parseSelect(value, '$expand');
+          break;
+        case '$filter':
+          include.where = parseFilter(value, paths);
+          break;
+        case '$expand':
+          include.include = parseExpand(value);
+          break;
+        default:
+          throw common.expressionError('$expand', item,
+            `does not support ${key.trim()}`);
+      }
+
+    });
+
+    if (paths.length)
+      include.include = includePaths(include.include || [], paths);
+
+    return include;
+
+  });
+
+}
+
+/**
+ * translate system query options of OData to querystrings of RestQL,
+ * `$filter` to `where`, `$select` to `_attributes`, `$expand` to
+ * `_include`, `$orderby` to `_order`, `$top` to `_limit`, `$skip` to
+ * `_offset`, `$count` to `_count` and `$search` to `_q`
+ */
+function parseQuery (query) {
+
+  const ret   = _.omit(query, systemQueryOptions);
+  const paths = [];
+
+  let include = ret._include === undefined ? [] : [].concat(ret._include);
+
+  if (query.$expand !== undefined)
+    include = include.concat(parseExpand(query.$expand));
+
+  if (query.$select !== undefined)
+    ret._attributes = parseSelect(query.$select, '$select');
+
+  if (query.$orderby !== undefined)
+    ret._order = parseOrderby(query.$orderby, paths);
+
+  if (query.$top !== undefined)
+    ret._limit = parseInteger(query.$top, '$top');
+
+  if (query.$skip !== undefined)
+    ret._offset = parseInteger(query.$skip, '$skip');
+
+  if (query.$count !== undefined)
+    ret._count = query.$count === 'true' || query.$count === true;
+
+  if (query.$search !== undefined)
+    ret._q = query.$search;
+
+  if (query.$filter !== undefined)
+    ret.$and = [].concat(ret.$and || [], parseFilter(query.$filter, paths));
+
+  include = includePaths(include, paths);
+
+  if (include.length)
+    ret._include = include;
+
+  debug(ret);
+
+  return ret;
+
+}
+
+function escapeXML (value) {
+
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+}
+
+function element (name, attributes, children) {
+
+  const attrs = Object.keys(attributes)
+    .filter(key => attributes[key] !== undefined)
+    .map(key => ` ${key}="${escapeXML(attributes[key])}"`).join('');
+
+  if (!children || !children.length)
+    return `<${name}${attrs}/>`;
+
+  return `<${name}${attrs}>${children.join('')}</${name}>`;
+
+}
+
+/**
+ * entity sets of the models which are listed by `GET`
+ */
+function getEntitySets (routes) {
+
+  return routes.filter(route => route.method === 'GET' && !route.ignored &&
+    !route.association && !/\/:id$/.test(route.path)).map(route => ({
+      name  : route.model.name,
+      url   : route.path.slice(1),
+      model : route.model
+    }));
+
+}
+
+/**
+ * navigation properties of a model, from its association routes
+ */
+function getNavigations (routes, model) {
+
+  return routes.filter(route => route.method === 'GET' && !route.ignored &&
+    route.model === model && route.association &&
+    !/\/:associationId$/.test(route.path)).map(route => route.association);
+
+}
+
+function getEntityType (model, routes, namespace) {
+
+  const keys       = model.primaryKeyAttributes || [ model.primaryKeyAttribute ];
+  const properties = Object.keys(model.attributes)
+    .filter(key => common.isAttributeReadable(model, key)).map(key => {
+
+      const attribute = model.attributes[key];
+      const type      = attribute.type || {};
+      const property  = _.assign({ Name: key },
+        types[type.key] || { Type: 'Edm.String' });
+
+      if (attribute.allowNull === false || attribute.primaryKey)
+        property.Nullable = 'false';
+
+      if (type._length && property.Type === 'Edm.String')
+        property.MaxLength = type._length;
+
+      return element('Property', property);
+
+    });
+
+  const navigations = getNavigations(routes, model).map(association =>
+    element('NavigationProperty', {
+      Name : association.as,
+      Type : association.isSingleAssociation ?
+        `${namespace}.${association.target.name}` :
+        `Collection(${namespace}.${association.target.name})`
+    }));
+
+  return element('EntityType', { Name: model.name }, [
+    element('Key', {}, keys.map(key => element('PropertyRef', { Name: key })))
+  ].concat(properties, navigations));
+
+}
+
+/**
+ * build the `$metadata` document, a CSDL XML of entity types and entity
+ * sets derived from models and associations, ignored routes are left out
+ */
+function build (routes, options) {
+
+  options = options || {};
+
+  const odata     = _.isPlainObject(options.odata) ? options.odata : {};
+  const namespace = odata.namespace || 'RestQL';
+  const sets      = getEntitySets(routes);
+  const models    = [];
+
+  const addModel = (model) => {
+    if (models.indexOf(model) === -1) {
+      models.push(model);
+      getNavigations(routes, model).forEach(association =>
+        addModel(association.target));
+    }
+  };
+
+  sets.forEach(set => addModel(set.model));
+
+  const entitySets = sets.map(set => element('EntitySet', {
+    Name       : set.name,
+    EntityType : `${namespace}.${set.name}`
+  }, getNavigations(routes, set.model)
+    .filter(association => sets.some(set => set.model === association.target))
+    .map(association => element('NavigationPropertyBinding', {
+      Path   : association.as,
+      Target : association.target.name
+    }))));
+
+  const schema = element('Schema', {
+    xmlns     : 'http://docs.oasis-open.org/odata/ns/edm',
+    Namespace : namespace
+  }, models.map(model => getEntityType(model, routes, namespace)).concat([
+    element('EntityContainer', { Name: 'Container' }, entitySets)
+  ]));
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    element('edmx:Edmx', {
+      'xmlns:edmx' : 'http://docs.oasis-open.org/odata/ns/edmx',
+      Version      : '4.0'
+    }, [ element('edmx:DataServices', {}, [ schema ]) ]);
+
+}
+
+/**
+ * build the service document, which lists the entity sets
+ */
+function getServiceDocument (routes, context) {
+
+  return {
+    '@odata.context' : context,
+    value            : getEntitySets(routes).map(set => ({
+      name : set.name,
+      kind : 'EntitySet',
+      url  : set.url
+    }))
+  };
+
+}
+
+module.exports.isRequest          = isRequest;
+module.exports.parseQuery         = parseQuery;
+module.exports.build              = build;
+module.exports.getServiceDocument = getServiceDocument;
@@ -0,0 +1,383 @@
+'use strict'
+
+const _      = require('lodash');
+const debug  = require('debug')('roas-restql:openapi');
+
+const common = require('./common');
+
+const types = {
+  INTEGER  : { type: 'integer', format: 'int32' },
+  BIGINT   : { type: 'integer', format: 'int64' },
+  FLOAT    : { type: 'number', format: 'float' },
+  DOUBLE   : { type: 'number', format: 'double' },
+  DECIMAL  : { type: 'number' },
+  STRING   : { type: 'string' },
+  CHAR     : { type: 'string' },
+  TEXT     : { type: 'string' },
+  UUID     : { type: 'string', format: 'uuid' },
+  BOOLEAN  : { type: 'boolean' },
+  DATE     : { type: 'string', format: 'date-time' },
+  DATEONLY : { type: 'string', format: 'date' },
+  ENUM     : { type: 'string' },
+  JSON     : { type: 'object' },
+  JSONB    : { type: 'object' }
+};
+
+const parameters = {
+  Range : {
+    name        : 'Range',
+    in          : 'header',
+    description : 'range of rows, e.g. `items=0-24`, instead of `_offset` and `_limit`',
+    schema      : { type: 'string' }
+  },
+  _include : {
+    name        : '_include',
+    in          : 'query',
+    description : 'associations to include, e.g. `_include[0]=house`',
+    schema      : { type: 'array', items: { type: 'string' } }
+  },
+  _limit : {
+    name        : '_limit',
+    in          : 'query',
+    description : 'max count of rows to respond',
+    schema      : { type: 'integer', minimum: 0 }
+  },
+  _offset : {
+    name        : '_offset',
+    in          : 'query',
+    description : 'count of rows to skip',
+    schema      : { type: 'integer', minimum: 0 }
+  },
+  _order : {
+    name        : '_order',
+    in          : 'query',
+    description : 'order of rows, e.g. `_order[0][0]=id&_order[0][1]=DESC`',
+    schema      : {
+      type: 'array',
+      items: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  _sort : {
+    name        : '_sort',
+    in          : 'query',
+    description : 'order of rows, descending with a leading `-`, e.g. `_sort=-created_at,name`',
+    schema      : { type: 'string' }
+  },
+  _q : {
+    name        : '_q',
+    in          : 'query',
+    description : 'search searchable attributes',
+    schema      : { type: 'string' }
+  },
+  _filter : {
+    name        : '_filter',
+    in          : 'query',
+    description : 'RSQL filter, e.g. `_filter=(name==Li*;age=gt=18),house.name==Stark`',
+    schema      : { type: 'string' }
+  },
+  _cursor : {
+    name        : '_cursor',
+    in          : 'query',
+    description : 'paginate by cursor, empty to start from the first page',
+    schema      : { type: 'string' }
+  },
+  _after : {
+    name        : '_after',
+    in          : 'query',
+    description : 'cursor of rows after, see `X-Next-Cursor`',
+    schema      : { type: 'string' }
+  },
+  _before : {
+    name        : '_before',
+    in          : 'query',
+    description : 'cursor of rows before, see `X-Prev-Cursor`',
+    schema      : { type: 'string' }
+  },
+  _attributes : {
+    name        : '_attributes',
+    in          : 'query',
+    description : 'attributes to respond, e.g. `_attributes[0]=id`',
+    schema      : { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const schemas = {
+  Problem : {
+    type       : 'object',
+    properties : {
+      type   : { type: 'string' },
+      title  : { type: 'string' },
+      status : { type: 'integer' },
+      code   : { type: 'string' },
+      detail : { type: 'string' }
+    }
+  },
+  JSONPatch : {
+    type  : 'array',
+    items : {
+      type       : 'object',
+      required   : ['op', 'path'],
+      properties : {
+        op    : {
+          type: 'string',
+          enum: ['add', 'remove', 'replace', 'move', 'copy', 'test']
+        },
+        path  : { type: 'string' },
+        from  : { type: 'string' },
+        value : {}
+      }
+    }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+/**
+ * build the schema of a model from its attributes, hidden attributes
+ * are left out
+ */
+function getModelSchema (model) {
+
+  const properties = {};
+  const required   = [];
+
+  Object.keys(model.attributes).forEach(key => {
+
+    const attribute = model.attributes[key];
+    const options   = attribute.restql || {};
+    const type      = attribute.type || {};
+
+    if (options.hidden)
+      return;
+
+    const property = _.clone(types[type.key] || {});
+
+    if (type._length && property.type === 'string')
+      property.maxLength = type._length;
+
+    if (type.key === 'ENUM')
+      property.enum = attribute.values || type.values;
+
+    if (attribute.allowNull !== false && !attribute.primaryKey)
+      property.nullable = true;
+
+    if (options.readOnly || attribute.autoIncrement)
+      property.readOnly = true;
+
+    if (options.writeOnly)
+      property.writeOnly = true;
+
+    if (!_.isObject(attribute.defaultValue) &&
+      attribute.defaultValue !== undefined)
+      property.default = attribute.defaultValue;
+
+    if (!property.readOnly && common.isAttributeRequired(model, key))
+      required.push(key);
+
+    properties[key] = property;
+
+  });
+
+  const schema = { type: 'object', properties };
+
+  if (required.length)
+    schema.required = required;
+
+  return schema;
+
+}
+
+/**
+ * `/user/:id/characters/:associationId` to `/user/{id}/characters/{associationId}`
+ */
+function getPath (path) {
+
+  return path.replace(/:(\w+)/g, '{$1}');
+
+}
+
+function isCollection (route) {
+
+  const {
+    path, association
+  } = route;
+
+  if (/\/:(id|associationId)$/.test(path))
+    return false;
+
+  return !(association && association.isSingleAssociation);
+
+}
+
+function getOperation (route) {
+
+  const {
+    method, path, model, association
+  } = route;
+
+  const target     = association ? association.target : model;
+  const collection = isCollection(route);
+  const schema     = ref(target.name);
+  const rows       = { type: 'array', items: schema };
+  const json       = (schema) => ({ 'application/json': { schema } });
+
+  const operation = {
+    tags        : [ model.name ],
+    operationId : `${method.toLowerCase()}${getPath(path)}`
+      .replace(/[{}]/g, '').replace(/\W+(\w)/g, (match, $1) => $1.toUpperCase()),
+    parameters  : (path.match(/:\w+/g) || []).map(name => ({
+      name     : name.slice(1),
+      in       : 'path',
+      required : true,
+      schema   : { type: 'integer' }
+    })),
+    responses   : {
+      default : {
+        description : 'error',
+        content     : {
+          'application/problem+json': { schema: ref('Problem') }
+        }
+      }
+    }
+  };
+
+  const ranges = {
+    'Content-Range' : {
+      description : 'range of responded rows, e.g. `items 0-9/100`',
+      schema      : { type: 'string' }
+    },
+    'Link' : {
+      description : 'links of `first`, `prev`, `next` and `last` pages',
+      schema      : { type: 'string' }
+    }
+  };
+
+  const cursors = {
+    'X-Next-Cursor' : {
+      description : 'cursor of the next page',
+      schema      : { type: 'string' }
+    },
+    'X-Prev-Cursor' : {
+      description : 'cursor of the previous page',
+      schema      : { type: 'string' }
+    }
+  };
+
+  switch (method) {
+
+    case 'GET':
+      if (collection) {
+        operation.parameters.push(
+          parameterRef('Range'),
+          parameterRef('_include'), parameterRef('_limit'), 
+          parameterRef('_offset'), parameterRef('_order'), 
+          parameterRef('_sort'), parameterRef('_q'), parameterRef('_filter'),
+          parameterRef('_attributes'), parameterRef('_cursor'),
+          parameterRef('_after'), parameterRef('_before'));
+        operation.responses['200'] = {
+          description : 'all rows, or a page of rows by cursor', 
+          headers     : _.assign({}, ranges, cursors), 
+          content     : json(rows)
+        };
+        operation.responses['206'] = {
+          description : 'part of rows', headers: ranges, content: json(rows)
+        };
+      } else {
+        operation.parameters.push(
+          parameterRef('_include'), parameterRef('_attributes'));
+        operation.responses['200'] = {
+          description : 'a row', content: json(schema)
+        };
+      }
+      break;
+
+    case 'POST':
+    case 'PUT':
+      operation.requestBody = {
+        required : true,
+        content  : json(collection ? { oneOf: [ schema, rows ] } : schema)
+      };
+      operation.responses[method === 'POST' ? '201' : '200'] = {
+        description : 'created or updated rows',
+        content     : json(collection ? { oneOf: [ schema, rows ] } : schema)
+      };
+      break;
+
+    case 'PATCH':
+      operation.requestBody = {
+        required : true,
+        content  : {
+          'application/json'            : { schema },
+          'application/merge-patch+json': { schema },
+          'application/json-patch+json' : { schema: ref('JSONPatch') }
+        }
+      };
+      operation.responses['200'] = {
+        description : 'updated row', content: json(schema)
+      };
+      break;
+
+    case 'DELETE':
+      operation.responses['204'] = { description: 'deleted' };
+      break;
+
+  }
+
+  return operation;
+
+}
+
+/**
+ * build an OpenAPI 3 document from the route table of the router,
+ * ignored routes are left out
+ *
+ * @param {Array}  routes `{ method, path, model, association, ignored }`
+ * @param {Object} [options={}]
+ */
+function build (routes, options) {
+
+  options = options || {};
+
+  const openapi = _.isPlainObject(options.openapi) ? options.openapi : {};
+
+  const doc = {
+    openapi    : '3.0.3',
+    info       : _.defaults({}, openapi.info, {
+      title: 'RestQL', version: '1.0.0'
+    }),
+    paths      : {},
+    components : {
+      schemas    : _.clone(schemas),
+      parameters : _.clone(parameters)
+    }
+  };
+
+  routes.forEach(route => {
+
+    const {
+      method, path, model, association, ignored
+    } = route;
+
+    if (ignored)
+      return;
+
+    [ model, association && association.target ].forEach(model => {
+      if (model && !doc.components.schemas[model.name])
+        doc.components.schemas[model.name] = getModelSchema(model);
+    });
+
+    const key = getPath(path);
+
+    doc.paths[key] = doc.paths[key] || {};
+    doc.paths[key][method.toLowerCase()] = getOperation(route);
+
+    debug(`${method} ${key}`);
+
+  });
+
+  return doc;
+
+}
+
+module.exports.build = build;
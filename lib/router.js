@@ -1,15 +1,24 @@
 'use strict';
 
-const Router  = require('koa-router');
-const debug   = require('debug')('roas-restql:router');
+const _           = require('lodash');
+const Router      = require('koa-router');
+const debug       = require('debug')('roas-restql:router');
 
-const common  = require('./common');
-const methods = require('./methods');
-const loaders = require('./loaders');
+const common      = require('./common');
+const methods     = require('./methods');
+const loaders     = require('./loaders');
+const middlewares = require('./middlewares');
+const openapi     = require('./openapi');
+const odata       = require('./odata');
+const graphql     = require('./graphql');
 
 const switchByType = common.switchByType;
 
-function loadModelRoutes (router, method, model, name, options) {
+/**
+ * walk the loaders of a model, the callback is called with 
+ * `(loader, base, model, association, ignored)` for every loader
+ */
+function eachModelLoader (method, model, name, callback) {
   
   let base         = `/${name}`
     , associations = model.associations
@@ -19,9 +28,12 @@ function loadModelRoutes (router, method, model, name, options) {
     base = `/${schema}${base}`;
   }
 
+  const ignoredModel = 
+    common.shouldIgnoreModel(method, model.options.restql);
+
   let loader = loaders.model[method];
   if (loader) {
-    loader(router, base, model, options);
+    callback(loader, base, model, null, ignoredModel);
   }
 
   Object.keys(associations).forEach(key => {
@@ -32,8 +44,8 @@ function loadModelRoutes (router, method, model, name, options) {
       isSingleAssociation, associationType
     } = association;
 
-    if (common.shouldIgnoreAssociation(method, association.options.restql)) 
-      return;
+    const ignored = ignoredModel || 
+      common.shouldIgnoreRoute(method, association);
 
     let loaderPath = loaders.model.association;
 
@@ -46,26 +58,224 @@ function loadModelRoutes (router, method, model, name, options) {
         loaderPath[associationTypeName][method]) || loaderPath[method];
 
     if (loader) {
-      loader(router, `${base}/:id/${key}`, model, association, options);
+      callback(loader, `${base}/:id/${key}`, model, association, ignored);
     }
   })
 
 }
 
-function load (models, options) {
-
-  let router = new Router();
+function eachLoader (models, callback) {
 
   Object.keys(models).forEach(key => {
 
     let model = models[key];
 
     methods.forEach(method => {
-      loadModelRoutes(router, method.toLowerCase(), model, key, options);
+      eachModelLoader(method.toLowerCase(), model, key, callback);
     })
   })
 
+}
+
+/**
+ * load routes of models, and build the route table, every route is 
+ * `{ method, path, model, association, ignored }`, routes of ignored 
+ * loaders are recorded without being registered
+ */
+function loadRoutes (router, models, options) {
+
+  const routes = [];
+
+  eachLoader(models, (loader, base, model, association, ignored) => {
+
+    const recorder = {};
+
+    methods.forEach(method => {
+      recorder[method] = function (path) {
+
+        routes.push({
+          method: getHTTPMethod(method), path, model, association, ignored
+        });
+
+        if (!ignored) {
+          router[method].apply(router, arguments);
+        }
+
+      };
+    });
+
+    if (association) {
+      loader(recorder, base, model, association, options);
+    } else {
+      loader(recorder, base, model, options);
+    }
+
+  });
+
+  return routes;
+
+}
+
+function getHTTPMethod (method) {
+
+  method = method.toUpperCase();
+
+  return method === 'DEL' ? 'DELETE' : method;
+
+}
+
+/**
+ * load OPTIONS for every generated path, and respond 405 to methods
+ * which are generated elsewhere but not on the path
+ */
+function loadAllowedMethods (router, options) {
+
+  const paths = {};
+
+  router.stack.forEach(layer => {
+    paths[layer.path] = _.union(paths[layer.path] || [], layer.methods);
+  });
+
+  const supportedMethods = methods.map(getHTTPMethod);
+
+  Object.keys(paths).forEach(path => {
+
+    const allowedMethods = _.union(paths[path], ['OPTIONS']);
+    const notAllowedMethods = _.difference(supportedMethods, allowedMethods);
+
+    debug(`${path}: ${allowedMethods.join()}`);
+
+    router.options(path,
+      middlewares.before(options),
+      middlewares.options(allowedMethods),
+      middlewares.after());
+
+    if (notAllowedMethods.length) {
+      router.register(path, notAllowedMethods, [
+        middlewares.before(options),
+        middlewares.methodNotAllowed(allowedMethods)
+      ]);
+    }
+
+  });
+
+}
+
+/**
+ * load GET /_openapi.json
+ */
+function loadOpenAPI (router, routes, options) {
+
+  let path = options.openapi.path || '/_openapi.json'
+    , doc;
+
+  router.get(path, 
+    middlewares.before(options),
+    async function (ctx,next) {
+
+      doc = doc || openapi.build(routes, options);
+
+      ctx.restql.response.body = doc;
+
+      await next();
+
+    },
+    middlewares.after());
+
+}
+
+/**
+ * load the OData service document GET / and GET /$metadata
+ */
+function loadOData (router, routes, options) {
+
+  let metadata;
+
+  router.get('/', 
+    middlewares.before(options),
+    async function (ctx,next) {
+
+      const response = ctx.restql.response;
+
+      response.headers = { 'OData-Version': '4.0' };
+      response.body = 
+        odata.getServiceDocument(routes, `${ctx.origin}/$metadata`);
+
+      await next();
+
+    },
+    middlewares.after());
+
+  router.get('/$metadata', 
+    middlewares.before(options),
+    async function (ctx,next) {
+
+      const response = ctx.restql.response;
+
+      metadata = metadata || odata.build(routes, options);
+
+      ctx.type = 'application/xml';
+
+      response.headers = { 'OData-Version': '4.0' };
+      response.body    = metadata;
+
+      await next();
+
+    },
+    middlewares.after());
+
+}
+
+/**
+ * load GET and POST /graphql on a router of its own, the schema is built
+ * from the route table of the RESTful router
+ */
+function loadGraphQL (routes, options) {
+
+  let router = new Router()
+    , path   = (options.graphql || {}).path || '/graphql'
+    , schema;
+
+  const handler = async function (ctx,next) {
+
+    const response = ctx.restql.response;
+
+    schema = schema || graphql.build(routes, options);
+
+    const result = await graphql.execute(ctx, schema);
+
+    response.status = result.status;
+    response.body   = result.body;
+
+    await next();
+
+  };
+
+  router.get(path, middlewares.before(options), handler, middlewares.after());
+  router.post(path, middlewares.before(options), handler, middlewares.after());
+
+  return router;
+
+}
+
+function load (models, options) {
+
+  let router = new Router();
+
+  router.routeTable = loadRoutes(router, models, options);
+
+  if (options.openapi) {
+    loadOpenAPI(router, router.routeTable, options);
+  }
+
+  if (options.odata) {
+    loadOData(router, router.routeTable, options);
+  }
+
+  loadAllowedMethods(router, options);
+
   return router;
 }
 
-module.exports.load = load;
+module.exports.load        = load;
+module.exports.loadGraphQL = loadGraphQL;
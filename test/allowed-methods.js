@@ -0,0 +1,142 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:allowed-methods')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+
+const models  = prepare.sequelize.models
+
+describe ('allowed methods', function () {
+
+  let server
+
+  const association = models.user.associations.pests
+  const options     = association.options.restql
+
+  before (function () {
+
+    association.options.restql = { ignore: ['put'] }
+
+    let app =new koa()
+      , restql = new RestQL(models)
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+  })
+
+  after (function () {
+
+    association.options.restql = options
+
+  })
+
+  beforeEach (function (done) {
+
+    debug('reset db')
+    prepare.loadMockData().then(() => {
+      done()
+    }).catch(done)  
+
+  })
+
+  describe ('OPTIONS', function () {
+
+    it ('should return 204 | options /user', function (done) {
+
+      server
+        .options('/user')
+        .expect(204)
+        .expect('Allow', 'HEAD, GET, POST, PUT, DELETE, OPTIONS')
+        .end(done)
+
+    })
+
+    it ('should return 204 | options /user/:id', function (done) {
+
+      server
+        .options('/user/1')
+        .expect(204)
+        .expect('Allow', 'HEAD, GET, PUT, PATCH, DELETE, OPTIONS')
+        .end(done)
+
+    })
+
+    it ('should return 204 | options /user/:id/pests, with ignored method', function (done) {
+
+      server
+        .options('/user/1/pests')
+        .expect(204)
+        .expect('Allow', 'HEAD, GET, POST, DELETE, OPTIONS')
+        .end(done)
+
+    })
+
+  })
+
+  describe ('HEAD', function () {
+
+    it ('should return 200 | head /user', function (done) {
+
+      server
+        .head('/user')
+        .expect(200)
+        .expect('Content-Range', 'items 0-1/2')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(!res.text)
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | head /user/:id', function (done) {
+
+      server
+        .head('/user/1')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(!res.text)
+          done()
+
+        })
+
+    })
+
+  })
+
+  describe ('405', function () {
+
+    it ('should return 405 | put /user/:id/pests, with ignored method', function (done) {
+
+      server
+        .put('/user/1/pests')
+        .send({ name: 'Jon' })
+        .expect(405)
+        .expect('Allow', 'HEAD, GET, POST, DELETE, OPTIONS')
+        .end(done)
+
+    })
+
+    it ('should return 405 | post /user/:id', function (done) {
+
+      server
+        .post('/user/1')
+        .send({ name: 'Jon' })
+        .expect(405)
+        .end(done)
+
+    })
+
+  })
+
+})
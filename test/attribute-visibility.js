@@ -0,0 +1,298 @@
+'use strict'
+
+const qs      = require('qs')
+const koa     = require('koa')
+const http    = require('http')
+const uuid    = require('node-uuid')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:attribute-visibility')
+
+const test    = require('./lib/test')
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+
+const models  = prepare.sequelize.models
+
+describe ('attribute visibility', function () {
+
+  let server, strictServer
+
+  const model = models.user
+
+  before (function () {
+
+    let app =new koa()
+      , restql = new RestQL(models)
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+    let strictApp =new koa()
+      , strictRestql = new RestQL(models, { body: { readOnly: 'reject' } })
+
+    strictApp.use(strictRestql.routes())
+    strictServer = request(http.createServer(strictApp.callback()))
+
+  })
+
+  beforeEach (function (done) {
+
+    debug('reset db')
+    prepare.loadMockData().then(() => {
+      done()
+    }).catch(done)  
+
+  })
+
+  describe ('response', function () {
+
+    it ('should return 200 | get /user, without writeOnly attributes', function (done) {
+
+      server
+        .get('/user')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.length === 2)
+          body.forEach(user => {
+            assert(user.password === undefined)
+            assert(user.role)
+          })
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user/:id, with _attributes', function (done) {
+
+      const querystring = qs.stringify({
+        _attributes: [ 'id', 'password' ]
+      })
+
+      server
+        .get(`/user/1?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.id === 1)
+          assert(body.password === undefined)
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /character, with include', function (done) {
+
+      const querystring = qs.stringify({
+        _include: [ 'reviewers' ]
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          const reviewers = body.reduce((reviewers, character) => 
+            reviewers.concat(character.reviewers), [])
+          assert(reviewers.length)
+          reviewers.forEach(user => {
+            assert(user.id)
+            assert(user.password === undefined)
+          })
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /character, include reviewers with _raw', function (done) {
+
+      const querystring = qs.stringify({
+        _include: [ 'reviewers' ],
+        _raw: 1
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.length)
+          body.forEach(row => assert(!('reviewers.password' in row)))
+          assert(body.some(row => row['reviewers.id']))
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /character/:id/reviewers', function (done) {
+
+      server
+        .get('/gameofthrones/character/1/reviewers')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.length === 2)
+          body.forEach(user => assert(user.password === undefined))
+          done()
+
+        })
+
+    })
+
+  })
+
+  describe ('query', function () {
+
+    it ('should return 400 | get /user, where with writeOnly attributes', function (done) {
+
+      const querystring = qs.stringify({
+        password: 'winter'
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'ATTRIBUTE_NOT_FILTERABLE')
+          assert(res.body.field === 'password')
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, $or with writeOnly attributes', function (done) {
+
+      const querystring = qs.stringify({
+        $or: [{ password: 'winter' }, { name: 'Jocelyn' }]
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end(done)
+
+    })
+
+    it ('should return 400 | del /user, where with writeOnly attributes', function (done) {
+
+      const querystring = qs.stringify({
+        password: 'x'
+      })
+
+      server
+        .del(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          model.count().then(count => {
+            assert(count === 2)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+  })
+
+  describe ('request body', function () {
+
+    it ('should return 201 | post /user, drop readOnly attributes', function (done) {
+
+      const data = {
+        name     : uuid(),
+        password : 'autumn',
+        role     : 'admin'
+      }
+
+      server
+        .post('/user')
+        .send(data)
+        .expect(201)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.password === undefined)
+          assert(body.role === 'member')
+          test.assertModelById(model, body.id, { 
+            password: 'autumn', role: 'member' 
+          }, done).catch(done)
+
+        })
+
+    })
+
+    it ('should return 200 | patch /user/:id, drop readOnly attributes', function (done) {
+
+      const id = 2
+
+      server
+        .patch(`/user/${id}`)
+        .send({ role: 'admin', nickname: 'xt' })
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          test.assertModelById(model, id, { 
+            nickname: 'xt', role: 'member' 
+          }, done).catch(done)
+
+        })
+
+    })
+
+    it ('should return 422 | patch /user/:id, json patch test writeOnly attributes', function (done) {
+
+      const operations = [
+        { op: 'test', path: '/password', value: 'winter' }
+      ]
+
+      server
+        .patch('/user/1')
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify(operations))
+        .expect(422)
+        .end(done)
+
+    })
+
+    it ('should return 400 | post /user, reject readOnly attributes', function (done) {
+
+      strictServer
+        .post('/user')
+        .send({ name: uuid(), role: 'admin' })
+        .expect(400)
+        .end(done)
+
+    })
+
+  })
+
+})
@@ -8,7 +8,9 @@ const methods = require('../lib/methods')
 describe ('common', function () {
 
   const {
-    switchByType, shouldIgnoreAssociation
+    switchByType, shouldIgnoreAssociation, shouldIgnoreModel,
+    mergePatch, applyJSONPatch, pickWritableValues, parseQuery,
+    validateValues, getCursorQuery, getCursorPage, getUnknownQueryOptions
   } = common;
 
   describe ('switchByType | callbacks are functions', function () {
@@ -159,5 +161,716 @@ describe ('common', function () {
 
   })
 
+  describe ('shouldIgnoreModel', function () {
+
+    it ('should return true | ignore is a boolean', function () {
+
+      methods.forEach(method => {
+        assert(shouldIgnoreModel(method, { ignore: true }))
+      })
+
+    })
+
+    it ('should return true except get | readOnly', function () {
+
+      methods.forEach(method => {
+        let res = shouldIgnoreModel(method, { readOnly: true })
+        assert(method === 'get' ? !res : res)
+      })
+
+    })
+
+    it ('should return true | method is not in methods', function () {
+
+      methods.forEach(method => {
+
+        let allowed = ['get', 'del']
+          , res     = shouldIgnoreModel(method, { methods: allowed, ignore: ['del'] })
+
+        assert(method === 'get' ? !res : res)
+      })
+
+    })
+
+    it ('should return false | without options', function () {
+
+      methods.forEach(method => {
+        assert(!shouldIgnoreModel(method))
+      })
+
+    })
+
+  })
+
+  describe ('attribute visibility', function () {
+
+    const house = {
+      attributes   : { id: {}, name: {} },
+      associations : {}
+    }
+
+    const model = {
+      attributes   : {
+        id       : { restql: { readOnly: true } },
+        name     : {},
+        password : { restql: { writeOnly: true } },
+        salt     : { restql: { hidden: true } }
+      },
+      associations : {
+        house : { target: house }
+      }
+    }
+
+    it ('should pick writable values', function () {
+
+      let res = pickWritableValues([
+        { id: 1, name: 'Jon', password: 'a', salt: 'b', house: { id: 1 } }
+      ], model)
+
+      assert.deepEqual(res.data, [{ name: 'Jon', password: 'a', house: { id: 1 } }])
+      assert.deepEqual(res.rejected, ['id', 'salt'])
+
+    })
+
+    it ('should pick readable attributes and order', function () {
+
+      let res = parseQuery({
+        name        : 'Jon',
+        $or         : [{ name: 'Arya' }, { id: 1 }],
+        _attributes : ['id', 'password'],
+        _order      : [['salt', 'DESC'], ['name', 'ASC']]
+      }, model, 'get', { query: { _limit: 10 } })
+
+      assert.deepEqual(res.where, { name: 'Jon', $or: [{ name: 'Arya' }, { id: 1 }] })
+      assert.deepEqual(res.attributes, ['id'])
+      assert.deepEqual(res.order, [['name', 'ASC']])
+
+    })
+
+    it ('should throw 400 | where with unreadable attributes', function () {
+
+      const invalid = (query) => assert.throws(() => 
+        parseQuery(query, model, 'get', { query: { _limit: 10 } }), 
+        err => err.status === 400 && err.code === 'ATTRIBUTE_NOT_FILTERABLE')
+
+      invalid({ password: 'a' })
+      invalid({ name: 'Jon', $or: [{ salt: 'b' }, { id: 1 }] })
+      invalid({ $or: [{ password: 'a' }] })
+      invalid({ _filter: 'password==abc' })
+
+    })
+
+    it ('should throw 400 | _attributes without readable attributes', function () {
+
+      assert.throws(() => parseQuery({
+        _attributes : ['password', 'salt']
+      }, model, 'get', { query: { _limit: 10 } }), err => err.status === 400)
+
+    })
+
+    it ('should exclude unreadable attributes | without _attributes', function () {
+
+      let res = parseQuery({}, model, 'get', { query: { _limit: 10 } })
+
+      assert.deepEqual(res.attributes, { exclude: ['password', 'salt'] })
+
+    })
+
+    it ('should exclude unreadable attributes | _include of associations', function () {
+
+      const character = {
+        attributes   : { id: {} },
+        associations : { 
+          reviewer : { as: 'reviewer', target: model, options: {} },
+          house    : { as: 'house', target: house, options: {} }
+        }
+      }
+
+      let res = parseQuery({ _include: ['reviewer', 'house'] }, character, 'get', { query: { _limit: 10 } })
+
+      assert.deepEqual(res.include, [
+        { association: character.associations.reviewer, attributes: { exclude: ['password', 'salt'] } },
+        character.associations.house
+      ])
+
+    })
+
+  })
+
+  describe ('validateValues', function () {
+
+    const model = {
+      _timestampAttributes : { createdAt: 'created_at' },
+      attributes   : {
+        id         : { type: { key: 'INTEGER' }, allowNull: false, autoIncrement: true },
+        name       : { type: { key: 'STRING', _length: 5 }, allowNull: false },
+        house_id   : { type: { key: 'INTEGER' }, allowNull: false },
+        is_bastard : { type: { key: 'BOOLEAN' }, allowNull: false, defaultValue: false },
+        gender     : { type: { key: 'ENUM', values: ['male', 'female'] } },
+        born_at    : { type: { key: 'DATE' } },
+        created_at : { type: { key: 'DATE' }, allowNull: false }
+      },
+      associations : {
+        house : {}
+      }
+    }
+
+    it ('should check types of attributes', function () {
+
+      let res = validateValues({ 
+        id: '1', name: 'Jon', is_bastard: 'yes', gender: 'other', 
+        born_at: 'someday', house: {}
+      }, model)
+
+      assert.deepEqual(res.map(item => [item.field, item.rule]), [
+        ['is_bastard', 'type'], ['gender', 'isIn'], ['born_at', 'type']
+      ])
+      assert(res[0].value === 'yes')
+      assert(res[0].index === undefined)
+
+    })
+
+    it ('should check lengths, nulls and unknown attributes', function () {
+
+      let res = validateValues({ name: 'Daenerys', house_id: null, title: 'x' }, model)
+
+      assert.deepEqual(res.map(item => [item.field, item.rule]), [
+        ['name', 'len'], ['house_id', 'allowNull'], ['title', 'unknown']
+      ])
+
+    })
+
+    it ('should check required attributes of every array element', function () {
+
+      let res = validateValues([
+        { name: 'Jon', house_id: 1, born_at: '2017-01-01' }, 
+        { name: 'Arya' }, 
+        { house_id: 1, is_bastard: 1 }
+      ], model, { required: true })
+
+      assert.deepEqual(res.map(item => [item.index, item.field, item.rule]), [
+        [1, 'house_id', 'required'], [2, 'name', 'required']
+      ])
+
+      res = validateValues({ name: 'Arya' }, model, { 
+        required: true, ignored: ['house_id'] 
+      })
+
+      assert.deepEqual(res, [])
+
+    })
+
+  })
+
+  describe ('_count', function () {
+
+    const model = {
+      attributes   : { id: {} },
+      associations : {},
+      options      : { restql: { count: 'estimated' } }
+    }
+
+    const options = { query: { _limit: 2 } }
+
+    it ('should parse _count with the default of model options', function () {
+
+      assert(parseQuery({ _count: '0' }, model, 'get', options).count === false)
+      assert(parseQuery({ _count: '1' }, model, 'get', options).count === true)
+      assert(parseQuery({}, model, 'get', options).count === 'estimated')
+      assert(parseQuery({}, { attributes: {}, associations: {} }, 'get', options).count === undefined)
+
+    })
+
+  })
+
+  describe ('bounds', function () {
+
+    const house = { attributes: { id: {} }, associations: {} }
+    const user  = { attributes: { id: {} }, associations: {} }
+
+    house.associations.members = { target: user, options: {} }
+    user.associations.house    = { target: house, options: {} }
+
+    const include = [{ 
+      association: 'members', include: [{ 
+        association: 'house', include: [{ association: 'members' }]
+      }] 
+    }, 'members']
+
+    const reject = { query: { _limit: 100, maxLimit: 50, maxIncludeDepth: 2, maxIncludes: 2 } }
+    const clamp  = { query: { _limit: 100, maxLimit: 50, maxIncludeDepth: 2, maxIncludes: 2, exceeded: 'clamp' } }
+
+    it ('should bound _limit', function () {
+
+      assert(parseQuery({}, house, 'get', reject).limit === 50)
+      assert(parseQuery({ _limit: 20 }, house, 'get', reject).limit === 20)
+      assert(parseQuery({ _limit: '0' }, house, 'get', reject).limit === 50)
+      assert(parseQuery({ _limit: 60 }, house, 'get', clamp).limit === 50)
+      assert(parseQuery({ _limit: null }, house, 'get', clamp).limit === 50)
+
+      assert.throws(() => parseQuery({ _limit: 60 }, house, 'get', reject), 
+        error => error.status === 400 && error.code === 'LIMIT_EXCEEDED')
+      assert.throws(() => parseQuery({ _limit: null }, house, 'get', reject), 
+        error => error.code === 'LIMIT_EXCEEDED')
+
+    })
+
+    it ('should bound _include', function () {
+
+      assert.throws(() => parseQuery({ _include: include }, house, 'get', reject), 
+        error => error.status === 400 && error.code === 'INCLUDE_DEPTH_EXCEEDED')
+      assert.throws(() => parseQuery({ _include: ['members', 'members', 'members'] }, house, 'get', reject), 
+        error => error.code === 'INCLUDES_EXCEEDED')
+
+      let res = parseQuery({ _include: include }, house, 'get', clamp)
+
+      assert(res.include.length === 1)
+      assert(res.include[0].include.length === 1)
+      assert(res.include[0].include[0].include.length === 0)
+
+    })
+
+  })
+
+  describe ('operators', function () {
+
+    const sequelize = {
+      literal : (value) => ({ literal: value }),
+      escape  : (value) => `'${value}'`
+    }
+
+    const model = {
+      sequelize,
+      attributes   : { 
+        id   : {}, 
+        name : { restql: { operators: ['$like'] } } 
+      },
+      associations : {},
+      options      : { restql: { operators: ['$gt', '$or'] } }
+    }
+
+    it ('should allow operators of attributes and models', function () {
+
+      let res = parseQuery({ 
+        name: { $like: 'a%' }, $or: [{ id: { $gt: 1 } }] 
+      }, model, 'get', { query: { _limit: 2 } })
+
+      assert.deepEqual(res.where, { 
+        name: { $like: { literal: "'a%' ESCAPE '\\'" } }, $or: [{ id: { $gt: 1 } }] 
+      })
+
+    })
+
+    it ('should translate bracket operators', function () {
+
+      let res = parseQuery({ 
+        name: { like: 'Li*_' }, 
+        $or: [{ id: { in: '1,2', null: 'false' } }, { id: { between: ['1', '3'] } }] 
+      }, { sequelize, attributes: { id: {}, name: {} }, associations: {} }, 'get', { query: {} })
+
+      assert.deepEqual(res.where, { 
+        name: { $like: { literal: "'Li%\\_' ESCAPE '\\'" } }, 
+        $or: [{ id: { $in: ['1', '2'], $not: null } }, { id: { $between: ['1', '3'] } }] 
+      })
+
+      assert.throws(() => parseQuery({ id: { like: 'a' } }, model, 'get', { query: {} }), 
+        error => error.code === 'OPERATOR_NOT_ALLOWED' && error.operator === '$like')
+      assert.throws(() => parseQuery({ id: { null: 'yes' } }, model, 'get', { query: {} }), 
+        error => error.code === 'INVALID_QUERY_EXPRESSION' && error.option === 'id[null]')
+
+    })
+
+    it ('should throw with operators not allowed', function () {
+
+      assert.throws(() => parseQuery({ name: { $gt: 'a' } }, model, 'get', { query: {} }), 
+        error => error.status === 400 && error.code === 'OPERATOR_NOT_ALLOWED' && 
+          error.field === 'name')
+      assert.throws(() => parseQuery({ $and: [{ id: 1 }] }, model, 'get', { query: {} }), 
+        error => error.operator === '$and')
+      assert.throws(() => parseQuery({ id: { $raw: '1' } }, { 
+        attributes: { id: {} }, associations: {} 
+      }, 'get', { query: {} }), error => error.operator === '$raw')
+      assert.throws(() => parseQuery({ id: { $ne: 1 } }, { 
+        attributes: { id: {} }, associations: {} 
+      }, 'get', { query: { operators: ['$eq'] } }), error => error.operator === '$ne')
+      assert.throws(() => parseQuery({ 
+        _include: [{ association: 'house', where: { id: { $ne: 1 } } }] 
+      }, { 
+        attributes: { id: {} }, 
+        associations: { 
+          house: { as: 'house', target: { attributes: { id: {} }, associations: {} }, options: {} } 
+        } 
+      }, 'get', { query: { operators: ['$eq'] } }), error => error.operator === '$ne')
+
+    })
+
+    it ('should throw with where of raw SQL', function () {
+
+      const model = {
+        attributes   : { id: {}, password: { restql: { writeOnly: true } } },
+        associations : {
+          house: { as: 'house', target: { attributes: { id: {} }, associations: {} }, options: {} }
+        }
+      }
+
+      const invalid = (query, option) => assert.throws(() => 
+        parseQuery(query, model, 'get', { query: {} }), error => error.status === 400 && 
+          error.code === 'INVALID_QUERY_EXPRESSION' && error.option === option)
+
+      invalid({ _where: ["password='winter'"] }, '_where')
+      invalid({ _where: "password='winter'" }, '_where')
+      invalid({ _include: [{ association: 'house', where: ['1=1'] }] }, '_include.where')
+      invalid({ $or: ["password='winter'", { id: 1 }] }, 'where')
+      invalid({ $and: "password='winter'" }, 'where')
+      invalid({ _where: { $or: [["password='winter'"]] } }, 'where')
+
+    })
+
+  })
+
+  describe ('getUnknownQueryOptions', function () {
+
+    const house = { attributes: { id: {} }, associations: {} }
+    const user  = { attributes: { id: {} }, associations: {} }
+
+    house.associations.members = { target: user, options: {} }
+    house.associations.seat    = { target: user, options: { restql: { ignore: ['get'] } } }
+    user.associations.house    = { target: house, options: {} }
+
+    it ('should get unknown options and associations', function () {
+
+      let res = getUnknownQueryOptions({ 
+        name: 'a', _limit: 1, _raw: true, _logging: 1, 
+        _include: ['seat', { association: 'members', include: ['house', 'friends'] }, 'lords']
+      }, house, 'get')
+
+      assert.deepEqual(res, [
+        '_raw', '_logging', '_include.seat', '_include.members.friends', '_include.lords'
+      ])
+
+      assert.deepEqual(getUnknownQueryOptions({ _include: 'members' }, house, 'get'), [])
+      assert.deepEqual(getUnknownQueryOptions({ _where: { id: 1 } }, house, 'get'), [])
+
+    })
+
+  })
+
+  describe ('expressions', function () {
+
+    const sequelize = {
+      col     : (name) => ({ col: name }),
+      fn      : (name, arg) => ({ fn: name, arg }),
+      literal : (value) => ({ literal: value }),
+      escape  : (value) => `'${value}'`
+    }
+
+    const house = {
+      name: 'house', sequelize, attributes: { id: {}, name: {} }, associations: {},
+      options: { restql: { sortable: ['id'] } }
+    }
+
+    const model = {
+      name         : 'character',
+      sequelize,
+      attributes   : { id: {}, name: {}, house_id: {}, salt: { restql: { hidden: true } } },
+      associations : { house: { as: 'house', target: house, options: {}, isSingleAssociation: true } },
+      options      : { restql: { filterable: ['id', 'name'] } }
+    }
+
+    const options = { query: { _limit: 10 } }
+
+    it ('should parse attributes, aggregate functions and aliases', function () {
+
+      let res = parseQuery({ 
+        _include    : ['house'],
+        _attributes : ['id', ['count(DISTINCT `character`.`id`)', 'count'], ['house.name', 'house_name']],
+        _order      : 'count DESC, house.id, name ASC NULLS LAST',
+        _group      : ['house_id', 'house.id']
+      }, model, 'get', options)
+
+      assert.deepEqual(res.attributes, [
+        'id', 
+        [{ fn: 'count', arg: { fn: 'DISTINCT', arg: { col: 'character.id' } } }, 'count'],
+        [{ col: 'house.name' }, 'house_name']
+      ])
+      assert.deepEqual(res.order, [
+        [{ col: 'count' }, 'DESC'],
+        [{ model: house, as: 'house' }, 'id', 'ASC'],
+        ['name', 'ASC NULLS LAST']
+      ])
+      assert.deepEqual(res.group, [{ col: 'character.house_id' }, { col: 'house.id' }])
+
+    })
+
+    it ('should parse having with aliases and through of associations', function () {
+
+      let res = parseQuery({ 
+        _attributes : [['count(id)', 'count']],
+        _group      : 'house_id',
+        _having     : { count: { gte: '2' }, name: 'Jon' }
+      }, model, 'get', options)
+
+      assert.deepEqual(res.having, { count: { $gte: '2' }, name: 'Jon' })
+
+      const through = { attributes: { rate: {}, note: { restql: { hidden: true } } }, associations: {} }
+
+      res = parseQuery({ _through: { where: { rate: { gt: '0' } } } }, 
+        model, 'get', options, { through: { model: through } })
+
+      assert.deepEqual(res.through, { where: { rate: { $gt: '0' } } })
+      assert(parseQuery({ _through: { where: { rate: 1 } } }, model, 'get', options).through === undefined)
+
+      assert.throws(() => parseQuery({ _having: { salt: 'a' } }, model, 'get', options), 
+        error => error.code === 'ATTRIBUTE_NOT_FILTERABLE')
+      assert.throws(() => parseQuery({ _through: { where: { note: 'a' } } }, 
+        model, 'get', options, { through: { model: through } }), 
+        error => error.code === 'ATTRIBUTE_NOT_FILTERABLE')
+
+    })
+
+    it ('should parse sort and include associations of paths', function () {
+
+      let res = parseQuery({ _sort: '-house.id, name', _order: 'id' }, model, 'get', options)
+
+      assert.deepEqual(res.order, [
+        ['id', 'ASC'],
+        [{ model: house, as: 'house' }, 'id', 'DESC'],
+        ['name', 'ASC']
+      ])
+      assert.deepEqual(res.include, [{ 
+        association: model.associations.house, attributes: [], include: [] 
+      }])
+
+      res = parseQuery({ _include: ['house'], _sort: ['+house.id'] }, model, 'get', options)
+
+      assert.deepEqual(res.include, [ model.associations.house ])
+      assert.deepEqual(res.order, [[{ model: house, as: 'house' }, 'id', 'ASC']])
+
+    })
+
+    it ('should parse filter to where', function () {
+
+      let res = parseQuery({ 
+        _filter: '(name==Li*;id=gt=18),house.id=in=(1, 2),name!="a,b"' 
+      }, model, 'get', options)
+
+      assert.deepEqual(res.where, { $or: [
+        { $and: [{ name: { $like: { literal: "'Li%' ESCAPE '\\'" } } }, { id: { $gt: '18' } }] },
+        { '$house.id$': { $in: ['1', '2'] } },
+        { name: { $ne: 'a,b' } }
+      ] })
+      assert.deepEqual(res.include, [{ 
+        association: model.associations.house, attributes: [], include: [] 
+      }])
+
+      res = parseQuery({ _filter: 'id=null=true', id: 1 }, model, 'get', options)
+
+      assert.deepEqual(res.where, { $and: [{ id: 1 }, { id: { $is: null } }] })
+
+    })
+
+    it ('should throw with invalid expressions', function () {
+
+      const invalid = (query, code) => assert.throws(() => parseQuery(query, model, 'get', options), 
+        error => error.status === 400 && error.code === (code || 'INVALID_QUERY_EXPRESSION'))
+
+      invalid({ _order: 'name; DROP TABLE character' })
+      invalid({ _order: [['name', 'DESC; --']] })
+      invalid({ _order: 'house.name' })
+      invalid({ _attributes: [['sleep(1)', 'x']] })
+      invalid({ _attributes: [['count(salt)', 'x']] })
+      invalid({ _attributes: [['id', 'x y']] })
+      invalid({ _group: 'id) --' })
+      invalid({ _group: 'salt' })
+      invalid({ _having: ['count(id) > 1'] })
+      invalid({ _having: { $or: ['1=1'] } })
+      invalid({ _having: { house_id: 1 } }, 'ATTRIBUTE_NOT_FILTERABLE')
+      invalid({ _attributes: [['count(id)', 'count']], _having: { count: { $raw: '1' } } }, 
+        'OPERATOR_NOT_ALLOWED')
+      invalid({ _through: 'rate > 0' })
+      invalid({ _sort: 'name DESC' })
+      invalid({ _sort: '-house.name.id' })
+      invalid({ _sort: 'friends.name' })
+      invalid({ _q: ['a', 'b'] })
+      invalid({ _q: 'a' }, 'MODEL_NOT_SEARCHABLE')
+      invalid({ _filter: 'name==a;(id=gt=1' })
+      invalid({ _filter: 'name=raw=a' })
+      invalid({ _filter: 'name==(a,b)' })
+      invalid({ _filter: 'id=between=1' })
+      invalid({ _filter: 'friends.name==a' })
+      invalid({ _filter: 'house_id==1' }, 'ATTRIBUTE_NOT_FILTERABLE')
+      invalid({ _include: ['house'], _order: 'house.name' }, 'ATTRIBUTE_NOT_SORTABLE')
+      invalid({ house_id: 1 }, 'ATTRIBUTE_NOT_FILTERABLE')
+      invalid({ $or: [{ name: 'a' }, { house_id: 1 }] }, 'ATTRIBUTE_NOT_FILTERABLE')
+
+    })
+
+  })
+
+  describe ('cursor', function () {
+
+    const model = {
+      primaryKeyAttribute : 'id',
+      attributes   : { id: {}, name: { allowNull: false }, nickname: {} },
+      associations : {}
+    }
+
+    const options = { query: { _limit: 2 } }
+
+    it ('should find rows after a cursor with the primary key as tiebreaker', function () {
+
+      let query = parseQuery({ _cursor: null, _order: 'name DESC' }, model, 'get', options)
+
+      assert.deepEqual(getCursorQuery(query, model).order, [['name', 'DESC'], ['id', 'DESC']])
+      assert(getCursorQuery(query, model).limit === 3)
+
+      let page = getCursorPage(query, [
+        { id: 3, name: 'c' }, { id: 2, name: 'b' }, { id: 1, name: 'a' }
+      ])
+
+      assert.deepEqual(page.rows.map(row => row.id), [3, 2])
+      assert(page.next && !page.prev)
+
+      query = parseQuery({ _cursor: page.next, _order: 'name DESC' }, model, 'get', options)
+
+      assert.deepEqual(getCursorQuery(query, model).where, {
+        $and: [{}, { $or: [
+          { name: { $lt: 'b' } }, 
+          { name: 'b', id: { $lt: 2 } }
+        ] }]
+      })
+
+    })
+
+    it ('should find rows before a cursor in the reversed order', function () {
+
+      let query = parseQuery({ _cursor: null }, model, 'get', options)
+      let page  = getCursorPage(query, [{ id: 1 }, { id: 2 }, { id: 3 }])
+
+      query = parseQuery({ _before: page.next }, model, 'get', options)
+
+      assert.deepEqual(getCursorQuery(query, model).order, [['id', 'DESC']])
+
+      page = getCursorPage(query, [{ id: 1 }])
+
+      assert.deepEqual(page.rows, [{ id: 1 }])
+      assert(page.next && !page.prev)
+
+    })
+
+    it ('should throw with _order of nullable attributes', function () {
+
+      assert.throws(() => parseQuery({ _cursor: null, _order: 'nickname' }, model, 'get', options), 
+        error => error.status === 400 && error.code === 'INVALID_CURSOR')
+
+    })
+
+    it ('should throw with a malformed cursor', function () {
+
+      assert.throws(() => parseQuery({ _cursor: 'cursor' }, model, 'get', options), 
+        error => error.code === 'INVALID_CURSOR')
+
+    })
+
+  })
+
+  describe ('mergePatch', function () {
+
+    it ('should replace and remove members', function () {
+
+      let res = mergePatch({ a: 1, b: 2 }, { a: 3, b: null })
+      assert.deepEqual(res, { a: 3 })
+
+    })
+
+    it ('should merge nested objects', function () {
+
+      let res = mergePatch({ a: { b: 1, c: 2 } }, { a: { b: null, d: 3 } })
+      assert.deepEqual(res, { a: { c: 2, d: 3 } })
+
+    })
+
+    it ('should replace arrays and non-object targets', function () {
+
+      assert.deepEqual(mergePatch({ a: [1, 2] }, { a: [3] }), { a: [3] })
+      assert.deepEqual(mergePatch('a', { b: 1 }), { b: 1 })
+      assert(mergePatch({ a: 1 }, 'b') === 'b')
+
+    })
+
+    it ('should not mutate target', function () {
+
+      let target = { a: { b: 1 } }
+      mergePatch(target, { a: { b: 2 } })
+      assert(target.a.b === 1)
+
+    })
+
+  })
+
+  describe ('applyJSONPatch', function () {
+
+    const document = { 
+      name : 'Jon', 
+      tags : ['stark', 'bastard'],
+      meta : { sword: 'Longclaw' }
+    }
+
+    it ('should apply add, remove and replace', function () {
+
+      let res = applyJSONPatch(document, [
+        { op: 'add',     path: '/tags/-',      value: 'king' },
+        { op: 'remove',  path: '/tags/1' },
+        { op: 'replace', path: '/meta/sword',  value: 'Ice' }
+      ])
+
+      assert.deepEqual(res.tags, ['stark', 'king'])
+      assert(res.meta.sword === 'Ice')
+      assert(document.meta.sword === 'Longclaw')
+
+    })
+
+    it ('should apply move, copy and test', function () {
+
+      let res = applyJSONPatch(document, [
+        { op: 'test', path: '/name',        value: 'Jon' },
+        { op: 'copy', from: '/name',        path: '/meta/owner' },
+        { op: 'move', from: '/meta/sword',  path: '/sword' }
+      ])
+
+      assert(res.meta.owner === 'Jon')
+      assert(res.sword === 'Longclaw')
+      assert(res.meta.sword === undefined)
+
+    })
+
+    it ('should throw 409 with index | test failed', function () {
+
+      assert.throws(() => applyJSONPatch(document, [
+        { op: 'replace', path: '/name', value: 'Arya' },
+        { op: 'test',    path: '/name', value: 'Jon' }
+      ]), error => error.status === 409 && error.index === 1)
+
+    })
+
+    it ('should throw 422 with index | invalid operation', function () {
+
+      assert.throws(() => applyJSONPatch(document, [
+        { op: 'remove', path: '/missing' }
+      ]), error => error.status === 422 && error.index === 0)
+
+      assert.throws(() => applyJSONPatch(document, [
+        { op: 'test',   path: '/name', value: 'Jon' },
+        { op: 'unknown', path: '/name' }
+      ]), error => error.status === 422 && error.index === 1)
+
+      assert.throws(() => applyJSONPatch(document, [
+        { op: 'move', from: '/meta', path: '/meta/child' }
+      ]), error => error.status === 422 && error.index === 0)
+
+    })
+
+  })
+
 })
 
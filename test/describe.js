@@ -0,0 +1,78 @@
+'use strict'
+
+const assert  = require('assert')
+const debug   = require('debug')('roas-restql:test:describe')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+
+const models  = prepare.sequelize.models
+
+describe ('describe', function () {
+
+  let routes
+
+  before (function () {
+
+    models.seat.options.restql = { ignore: ['put'] }
+    models.house.associations.members.options.restql = { ignore: ['post'] }
+
+    routes = new RestQL(models).describe()
+
+  })
+
+  after (function () {
+
+    delete models.seat.options.restql
+    delete models.house.associations.members.options.restql
+
+  })
+
+  const find = (method, path) => 
+    routes.find(route => route.method === method && route.path === path)
+
+  it ('should describe routes of models', function () {
+
+    assert.deepEqual(find('GET', '/user/:id'), {
+      method      : 'GET',
+      path        : '/user/:id',
+      model       : 'user',
+      association : null,
+      ignored     : false
+    })
+
+  })
+
+  it ('should describe routes of associations', function () {
+
+    assert.deepEqual(find('GET', '/user/:id/characters/:associationId'), {
+      method      : 'GET',
+      path        : '/user/:id/characters/:associationId',
+      model       : 'user',
+      association : {
+        name     : 'characters',
+        type     : 'belongsToMany',
+        target   : 'character',
+        singular : false
+      },
+      ignored     : false
+    })
+
+    assert(find('GET', '/gameofthrones/house/:id/seat').association.type === 'hasOne')
+    assert(find('GET', '/gameofthrones/seat/:id/house').association.type === 'belongsTo')
+    assert(find('GET', '/gameofthrones/house/:id/seat').association.singular)
+
+  })
+
+  it ('should mark ignored routes', function () {
+
+    debug(routes.filter(route => route.ignored))
+
+    assert(find('PUT', '/gameofthrones/seat').ignored)
+    assert(find('PUT', '/gameofthrones/seat/:id/house').ignored)
+    assert(find('POST', '/gameofthrones/house/:id/members').ignored)
+    assert(!find('GET', '/gameofthrones/house/:id/members').ignored)
+
+  })
+
+})
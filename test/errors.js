@@ -0,0 +1,350 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:errors')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+const errors  = require('../lib/errors')
+
+const models  = prepare.sequelize.models
+
+describe ('errors', function () {
+
+  let server, customServer, legacyServer, validateServer
+
+  before (function () {
+
+    let app =new koa()
+      , restql = new RestQL(models)
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+    let customApp =new koa()
+      , customRestql = new RestQL(models, {
+        errors: {
+          format: (problem) => ({ error: problem.code })
+        }
+      })
+
+    customApp.use(customRestql.routes())
+    customServer = request(http.createServer(customApp.callback()))
+
+    let legacyApp =new koa()
+      , legacyRestql = new RestQL(models, {
+        errors: {
+          notFoundStatus: 204
+        }
+      })
+
+    legacyApp.use(legacyRestql.routes())
+    legacyServer = request(http.createServer(legacyApp.callback()))
+
+    let validateApp =new koa()
+      , validateRestql = new RestQL(models, {
+        body: {
+          validate: true
+        }
+      })
+
+    validateApp.use(validateRestql.routes())
+    validateServer = request(http.createServer(validateApp.callback()))
+
+  })
+
+  beforeEach (function (done) {
+
+    debug('reset db')
+    prepare.loadMockData().then(() => {
+      done()
+    }).catch(done)  
+
+  })
+
+  describe ('create', function () {
+
+    it ('should create a RestQL error', function () {
+
+      const error = errors.create(409, 'UNIQUE_CONSTRAINT', 'conflict', { 
+        model: 'user' 
+      })
+
+      assert(error instanceof Error)
+      assert(errors.isRestQLError(error))
+      assert(!errors.isRestQLError(new Error()))
+      assert(error.message === 'RestQL: conflict')
+
+      const problem = errors.toProblem({}, error)
+
+      assert.deepEqual(problem, {
+        type   : 'about:blank',
+        title  : 'Conflict',
+        status : 409,
+        code   : 'UNIQUE_CONSTRAINT',
+        detail : 'conflict',
+        model  : 'user'
+      })
+
+    })
+
+  })
+
+  describe ('response', function () {
+
+    it ('should return 409 | post /user, with problem body', function (done) {
+
+      server
+        .post('/user')
+        .send({ name: 'Dale' })
+        .expect(409)
+        .expect('Content-Type', /application\/problem\+json/)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.status === 409)
+          assert(body.code === 'UNIQUE_CONSTRAINT')
+          assert(body.model === 'user')
+          assert(body.fields.name === 'Dale')
+          assert(body.detail)
+          done()
+
+        })
+
+    })
+
+    it ('should return 409 | post /user, with index of the conflicting row', function (done) {
+
+      server
+        .post('/user')
+        .send([{ name: 'Bulk' }, { name: 'Dale' }])
+        .expect(409)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'UNIQUE_CONSTRAINT')
+          assert(body.fields.name === 'Dale')
+          assert(body.index === 1)
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | put /user, with problem body', function (done) {
+
+      server
+        .put('/user')
+        .send([{ name: 'Dale' }, { nickname: 'xt' }])
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'INCONSISTENT_ATTRIBUTES')
+          done()
+
+        })
+
+    })
+
+    it ('should return 422 | post /user, with validation errors', function (done) {
+
+      const nickname = new Array(52).join('x')
+
+      server
+        .post('/user')
+        .send({ name: 'Validated', nickname })
+        .expect(422)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'VALIDATION_ERROR')
+          assert(body.model === 'user')
+          assert(body.errors.length === 1)
+          assert(body.errors[0].field === 'nickname')
+          assert(body.errors[0].rule === 'len')
+          assert(body.errors[0].value === nickname)
+          assert(body.errors[0].message)
+          assert(body.errors[0].index === undefined)
+          done()
+
+        })
+
+    })
+
+    it ('should return 422 | post /user, with index of invalid rows', function (done) {
+
+      const nickname = new Array(52).join('x')
+
+      server
+        .post('/user')
+        .send([{ 
+          name: 'Validated1', nickname: 'ok' 
+        }, { 
+          name: 'Validated2', nickname 
+        }, {
+          name: null, nickname: 'ok'
+        }])
+        .expect(422)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'VALIDATION_ERROR')
+          assert(body.errors.length === 2)
+          assert(body.errors[0].index === 1)
+          assert(body.errors[0].field === 'nickname')
+          assert(body.errors[0].rule === 'len')
+          assert(body.errors[1].index === 2)
+          assert(body.errors[1].field === 'name')
+          assert(body.errors[1].rule === 'allowNull')
+
+          models.user.count({
+            where: { name: 'Validated1' }
+          }).then(count => {
+            assert(count === 0)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+    it ('should return 422 | put /user, with index of invalid rows', function (done) {
+
+      const nickname = new Array(52).join('x')
+
+      server
+        .put('/user')
+        .send([{ name: 'Dale', nickname: 'ok' }, { name: 'Kate', nickname }])
+        .expect(422)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'VALIDATION_ERROR')
+          assert(body.errors.length === 1)
+          assert(body.errors[0].index === 1)
+          assert(body.errors[0].field === 'nickname')
+          done()
+
+        })
+
+    })
+
+    it ('should return 422 | post /user, with body validation', function (done) {
+
+      validateServer
+        .post('/user')
+        .send([{ 
+          name: 'Validated1', nickname: 1 
+        }, { 
+          name: 'Validated2', age: 20
+        }])
+        .expect(422)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'VALIDATION_ERROR')
+          assert.deepEqual(body.errors.map(item => [item.index, item.field, item.rule]), [
+            [0, 'nickname', 'type'], [1, 'age', 'unknown']
+          ])
+          done()
+
+        })
+
+    })
+
+    it ('should return 201 | post /house/:id/members, with body validation', function (done) {
+
+      validateServer
+        .post('/gameofthrones/house/1/members')
+        .send({ name: 'Validated' })
+        .expect(201)
+        .end(done)
+
+    })
+
+    it ('should return 422 | post /house/:id/members, with body validation', function (done) {
+
+      validateServer
+        .post('/gameofthrones/house/1/members')
+        .send({ name: 'Validated', is_bastard: 'yes' })
+        .expect(422)
+        .expect('Content-Type', /application\/problem\+json/)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(body.code === 'VALIDATION_ERROR')
+          assert(body.model === 'character')
+          assert(body.association === 'members')
+          assert.deepEqual(body.errors.map(item => [item.field, item.rule]), [
+            ['is_bastard', 'type']
+          ])
+          done()
+
+        })
+
+    })
+
+    it ('should return 404 | get /user/:id, with problem body', function (done) {
+
+      server
+        .get('/user/100')
+        .expect(404)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'NOT_FOUND')
+          assert(res.body.model === 'user')
+          done()
+
+        })
+
+    })
+
+    it ('should return 204 | get /user/:id, with legacy notFoundStatus', function (done) {
+
+      legacyServer
+        .get('/user/100')
+        .expect(204)
+        .end(done)
+
+    })
+
+    it ('should return 405 | post /user/:id, with custom format', function (done) {
+
+      customServer
+        .post('/user/1')
+        .send({ name: 'Dale' })
+        .expect(405)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert.deepEqual(res.body, { error: 'METHOD_NOT_ALLOWED' })
+          done()
+
+        })
+
+    })
+
+  })
+
+})
@@ -0,0 +1,277 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:graphql')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+const graphql = require('../lib/graphql')
+
+const models  = prepare.sequelize.models
+
+describe ('graphql', function () {
+
+  let server, schema
+
+  before (function () {
+
+    models.seat.options.restql = { ignore: true }
+    models.house.associations.members.options.restql = { ignore: ['get'] }
+
+    let app =new koa()
+      , restql = new RestQL(models)
+
+    app.use(restql.graphql())
+    server = request(http.createServer(app.callback()))
+
+    schema = graphql.build(restql.router.routeTable, restql.options)
+
+  })
+
+  after (function () {
+
+    delete models.seat.options.restql
+    delete models.house.associations.members.options.restql
+
+  })
+
+  const post = (query, variables) => server
+    .post('/graphql')
+    .send({ query, variables })
+
+  it ('should generate queries and mutations of models', function () {
+
+    const queries   = schema.getQueryType().getFields()
+    const mutations = schema.getMutationType().getFields()
+
+    assert(queries.user && queries.userList && queries.userCharactersList)
+    assert(mutations.createUser && mutations.updateUser && mutations.deleteUser)
+    assert.deepEqual(queries.userList.args.map(arg => arg.name),
+      ['limit', 'offset', 'where', 'sort', 'filter'])
+
+  })
+
+  it ('should leave out unreadable attributes and ignored routes', function () {
+
+    const user  = schema.getType('user').getFields()
+    const house = schema.getType('house').getFields()
+    const input = schema.getType('userInput').getFields()
+
+    assert(user.name && user.characters)
+    assert(!user.password)
+    assert(input.password && !input.role && !input.id)
+
+    assert(house.bastards)
+    assert(!house.members)
+    assert(!schema.getQueryType().getFields().seatList)
+    assert(!schema.getMutationType().getFields().createSeat)
+
+  })
+
+  it ('should return 405 | get /graphql, with a mutation', function (done) {
+
+    server
+      .get('/graphql')
+      .query({ query: 'mutation { deleteUser(id: 1) { id } }' })
+      .expect(405)
+      .expect('Allow', 'POST')
+      .end(done)
+
+  })
+
+  it ('should return 400 | post /graphql, with an unknown field', function (done) {
+
+    post('{ user(id: 1) { password } }')
+      .expect(400)
+      .end((err, res) => {
+
+        if (err) return done(err)
+        assert(res.body.errors.length === 1)
+        done()
+
+      })
+
+  })
+
+  describe ('execution', function () {
+
+    beforeEach (function () {
+
+      return prepare.loadMockData()
+
+    })
+
+    it ('should return 200 | post /graphql, with lists and associations', function (done) {
+
+      post(`{
+        characterList(where: { house_id: 1 }, sort: "-name", limit: 1) { name house { name } }
+        user(id: 1) { name characters(filter: "name==J*") { name } }
+      }`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert.deepEqual(res.body.data.characterList, [{ name: 'Jon', house: { name: 'Stark' } }])
+          assert.deepEqual(res.body.data.user, { name: 'Dale', characters: [{ name: 'Jon' }] })
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /graphql, with errors of invalid args', function (done) {
+
+      server
+        .get('/graphql')
+        .query({ query: '{ characterList(filter: "name==") { id } }' })
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(res.body.data.characterList === null)
+          assert(res.body.errors[0].extensions.status === 400)
+          assert(res.body.errors[0].extensions.code === 'INVALID_QUERY_EXPRESSION')
+          done()
+
+        })
+
+    })
+
+    it ('should create, update and delete rows', function (done) {
+
+      post('mutation ($house: houseInput!) { createHouse(input: $house) { id name } }', {
+        house: { name: 'Greyjoy', words: 'We Do Not Sow' }
+      })
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          const id = res.body.data.createHouse.id
+          assert(res.body.data.createHouse.name === 'Greyjoy')
+
+          post(`mutation {
+            updateHouse(id: ${id}, input: { words: "What Is Dead May Never Die" }) { name words }
+          }`)
+            .expect(200)
+            .end((err, res) => {
+
+              if (err) return done(err)
+              assert.deepEqual(res.body.data.updateHouse, {
+                name: 'Greyjoy', words: 'What Is Dead May Never Die'
+              })
+
+              post(`mutation { deleteHouse(id: ${id}) { id } }`)
+                .expect(200)
+                .end((err, res) => {
+
+                  if (err) return done(err)
+                  assert(res.body.data.deleteHouse.id === id)
+
+                  models.house.findById(id).then(house => {
+                    assert(house === null)
+                    done()
+                  }).catch(done)
+
+                })
+
+            })
+
+        })
+
+    })
+
+    it ('should restore a deleted row with the same unique index', function (done) {
+
+      post('mutation { deleteHouse(id: 4) { id } }')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          post('mutation { createHouse(input: { name: "Tully", words: "Family" }) { id words } }')
+            .expect(200)
+            .end((err, res) => {
+
+              if (err) return done(err)
+              debug(res.body)
+              assert.deepEqual(res.body.data.createHouse, { id: 4, words: 'Family' })
+              done()
+
+            })
+
+        })
+
+    })
+
+    it ('should validate required attributes by create but not by update', function (done) {
+
+      const name = models.user.attributes.name
+      const defaultValue = name.defaultValue
+
+      delete name.defaultValue
+
+      let app =new koa()
+        , restql = new RestQL(models, { body: { validate: true } })
+
+      app.use(restql.graphql())
+
+      const validate = request(http.createServer(app.callback()))
+      const restore  = (err) => {
+        name.defaultValue = defaultValue
+        done(err)
+      }
+
+      validate
+        .post('/graphql')
+        .send({ query: 'mutation { createUser(input: { nickname: "Jo" }) { id } }' })
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return restore(err)
+          debug(res.body)
+          assert(res.body.data.createUser === null)
+          assert(res.body.errors[0].extensions.code === 'VALIDATION_ERROR')
+          assert(res.body.errors[0].extensions.errors[0].field === 'name')
+
+          validate
+            .post('/graphql')
+            .send({ query: 'mutation { updateUser(id: 1, input: { nickname: "Jo" }) { name nickname } }' })
+            .expect(200)
+            .end((err, res) => {
+
+              if (err) return restore(err)
+              assert(!res.body.errors)
+              assert(res.body.data.updateUser.nickname === 'Jo')
+              restore()
+
+            })
+
+        })
+
+    })
+
+    it ('should respond errors of unique constraints', function (done) {
+
+      post('mutation { updateHouse(id: 1, input: { name: "Bolton" }) { id } }')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(res.body.data.updateHouse === null)
+          assert(res.body.errors[0].extensions.code === 'UNIQUE_CONSTRAINT')
+          done()
+
+        })
+
+    })
+
+  })
+
+})
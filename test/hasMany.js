@@ -91,13 +91,13 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | get /house/:id/members', function (done) {
+    it ('should return 404 | get /house/:id/members', function (done) {
 
       const id = 100
 
       server
         .get(`/gameofthrones/house/${id}/members`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -137,18 +137,18 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | get /house/:id/members/:associationId, wrong id', function (done) {
+    it ('should return 404 | get /house/:id/members/:associationId, wrong id', function (done) {
 
       const id = 100
 
       server
         .get(`/gameofthrones/house/${id}/members/1`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
 
-    it ('should return 204 | get /house/:id/members/:associationId, wrong associationId', function (done) {
+    it ('should return 404 | get /house/:id/members/:associationId, wrong associationId', function (done) {
 
       const id = 1
 
@@ -158,7 +158,7 @@ describe ('model hasMany association routers', function () {
 
         server
           .get(`/gameofthrones/house/${id}/members/100`)
-          .expect(204)
+          .expect(404)
           .end(done)
 
       }).catch(done)
@@ -199,6 +199,27 @@ describe ('model hasMany association routers', function () {
 
     })
 
+    it ('should return 201 | post /house/:id/members, with Location', function (done) {
+
+      const id = 1
+
+      server
+        .post(`/gameofthrones/house/${id}/members`)
+        .send({ name: uuid() })
+        .expect(201)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(res.headers['location'] === 
+            `/gameofthrones/house/${id}/members/${body.id}`)
+          done()
+
+        })
+
+    })
+
     it ('should return 201 | post /house/:id/members, array body', function (done) {
 
       const id = 1
@@ -239,14 +260,14 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | post /house/:id/members', function (done) {
+    it ('should return 404 | post /house/:id/members', function (done) {
 
       const id = 100
 
       server
         .post(`/gameofthrones/house/${id}/members`)
         .send({})
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -538,14 +559,14 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | put /house/:id/members', function (done) {
+    it ('should return 404 | put /house/:id/members', function (done) {
 
       const id = 100
 
       server
         .put(`/gameofthrones/house/${id}/members`)
         .send({})
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -710,20 +731,80 @@ describe ('model hasMany association routers', function () {
     })
 
 
-    it ('should return 204 | put /house/:id/members/:associationId, wrong id', function (done) {
+    it ('should return 404 | put /house/:id/members/:associationId, wrong id', function (done) {
 
       const id = 100
 
       server
         .put(`/gameofthrones/house/${id}/members/1`)
         .send({})
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
 
   })
 
+  describe ('PATCH', function () {
+
+    it ('should return 200 | patch /house/:id/members/:associationId', function (done) {
+
+      const id = 1
+      const data = {
+        is_bastard: false
+      }
+
+      association.find({
+        where: {
+          house_id: id,
+          is_bastard: true
+        }
+      }).then(character => {
+
+        server
+          .patch(`/gameofthrones/house/${id}/members/${character.id}`)
+          .send(data)
+          .expect(200)
+          .end((err, res) => {
+
+            if (err) return done(err)
+            let body = res.body
+            assert('object' === typeof body)
+            debug(body)
+            assert(body.id === character.id)
+            assert(body.name === character.name)
+            assert(body.house_id === id)
+            test.assertObject(body, data)
+            test.assertModelById(association, body.id, data, done)
+
+          })
+
+      }).catch(done)
+
+    })
+
+    it ('should return 404 | patch /house/:id/members/:associationId, wrong associationId', function (done) {
+
+      const id = 1
+
+      association.find({
+        where: {
+          house_id: 2
+        }
+      }).then(character => {
+
+        server
+          .patch(`/gameofthrones/house/${id}/members/${character.id}`)
+          .send({ name: uuid() })
+          .expect(404)
+          .end(done)
+
+      }).catch(done)
+
+    })
+
+  })
+
   describe ('DELETE', function () {
 
     it ('should return 204 | delete /house/:id/members', function (done) {
@@ -808,13 +889,13 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | delete /house/:id/members', function (done) {
+    it ('should return 404 | delete /house/:id/members', function (done) {
 
       const id = 100
 
       server
         .del(`/gameofthrones/house/${id}/members`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -858,18 +939,18 @@ describe ('model hasMany association routers', function () {
 
     })
 
-    it ('should return 204 | delete /house/:id/members/:associationId, wrong id', function (done) {
+    it ('should return 404 | delete /house/:id/members/:associationId, wrong id', function (done) {
 
       const id = 100
 
       server
         .del(`/gameofthrones/house/${id}/members/1`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
 
-    it ('should return 204 | delete /house/:id/members/:associationId, wrong associationId', function (done) {
+    it ('should return 404 | delete /house/:id/members/:associationId, wrong associationId', function (done) {
 
       const id = 1
 
@@ -879,7 +960,7 @@ describe ('model hasMany association routers', function () {
 
         server
           .delete(`/gameofthrones/house/${id}/members/1000`)
-          .expect(204)
+          .expect(404)
           .end(done)
 
       }).catch(done)
@@ -66,13 +66,13 @@ describe ('model hasOne association routers', function () {
 
     })
 
-    it ('should return 204 | get /house/:id/seat', function (done) {
+    it ('should return 404 | get /house/:id/seat', function (done) {
 
       const id = 100
 
       server
         .get(`/gameofthrones/house/${id}/seat`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -185,6 +185,56 @@ describe ('model hasOne association routers', function () {
 
   })
 
+  describe ('PATCH', function () {
+
+    it ('should return 200 | patch /house/:id/seat', function (done) {
+
+      const id = 2
+      const data = {
+        name: uuid()
+      }
+
+      server
+        .patch(`/gameofthrones/house/${id}/seat`)
+        .send(data)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          assert('object' === typeof body)
+          debug(body)
+          assert(body.house_id === id)
+          test.assertObject(body, data)
+          test.assertModelById(association, body.id, data, done)
+
+        })
+
+    })
+
+    it ('should return 404 | patch /house/:id/seat', function (done) {
+
+      const id = 4
+
+      server
+        .patch(`/gameofthrones/house/${id}/seat`)
+        .send({ name: uuid() })
+        .expect(404)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          association.count({ where: { house_id: id } }).then(count => {
+            assert(count === 0)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+  })
+
   describe ('DELETE', function () {
 
     it ('should return 204 | delete /house/:id/seat', function (done) {
@@ -220,7 +270,7 @@ describe ('model hasOne association routers', function () {
 
     })
 
-    it ('should return 204 | delete /house/:id/seat', function (done) {
+    it ('should return 404 | delete /house/:id/seat', function (done) {
 
       const id = 2
 
@@ -235,7 +285,7 @@ describe ('model hasOne association routers', function () {
 
         server
           .del(`/gameofthrones/house/${id}/seat`)
-          .expect(204)
+          .expect(404)
           .end(done)
 
       }).catch(done)
@@ -0,0 +1,223 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:jsonapi')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+const jsonapi = require('../lib/jsonapi')
+
+const models  = prepare.sequelize.models
+
+describe ('jsonapi', function () {
+
+  let server
+
+  before (function () {
+
+    let app =new koa()
+      , restql = new RestQL(models, {
+        jsonapi: true
+      })
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+  })
+
+  const send = (test, doc) => test
+    .set('Content-Type', jsonapi.mediaType)
+    .send(JSON.stringify(doc))
+
+  describe ('serialize', function () {
+
+    it ('should move includes into included', function () {
+
+      const rows = [1, 2].map(id => models.character.build({
+        id, name: `${id}`, house_id: 1,
+        house     : { id: 1, name: 'Stark', words: 'Winter is Coming' },
+        reviewers : [{ id: 1, name: 'Dale', password: 'winter', user_characters: { rate: 5 } }]
+      }, {
+        isNewRecord : false,
+        include     : [{ model: models.house, as: 'house' }, { model: models.user, as: 'reviewers' }]
+      }))
+
+      const doc = jsonapi.serialize(rows, { count: 10 })
+
+      debug(doc)
+      assert.deepEqual(doc.data[0], {
+        type          : 'character',
+        id            : '1',
+        attributes    : { name: '1' },
+        relationships : {
+          house     : { data: { type: 'house', id: '1' } },
+          reviewers : { data: [{ type: 'user', id: '1', meta: { user_characters: { rate: 5 } } }] }
+        }
+      })
+      assert.deepEqual(doc.included, [
+        { type: 'house', id: '1', attributes: { name: 'Stark', words: 'Winter is Coming' } },
+        { type: 'user', id: '1', attributes: { name: 'Dale' } }
+      ])
+      assert.deepEqual(doc.meta, { total: 10 })
+
+    })
+
+  })
+
+  describe ('parseBody', function () {
+
+    it ('should parse attributes and linkages', function () {
+
+      const parsed = jsonapi.parseBody({
+        data: {
+          type          : 'character',
+          id            : '3',
+          attributes    : { name: 'Jon' },
+          relationships : {
+            house     : { data: { type: 'house', id: '1' } },
+            reviewers : { data: [{ type: 'user', id: '2' }] }
+          }
+        }
+      }, models.character, 'post')
+
+      assert.deepEqual(parsed, {
+        body          : { id: 3, name: 'Jon', house_id: 1 },
+        relationships : { reviewers: [2] }
+      })
+
+    })
+
+    it ('should throw with invalid documents', function () {
+
+      const invalid = (doc, model, status) => assert.throws(() =>
+        jsonapi.parseBody(doc, model || models.character, 'post'),
+        error => error.status === (status || 400))
+
+      invalid({ type: 'character' })
+      invalid({ data: { type: 'house' } }, null, 409)
+      invalid({ data: { type: 'character', relationships: { house: { data: [] } } } })
+      invalid({ data: { type: 'character', relationships: { reviewers: { data: [{ type: 'house', id: '1' }] } } } })
+      invalid({ data: { type: 'house', relationships: { members: { data: [] } } } }, models.house)
+      invalid({ data: [{ type: 'character', relationships: { reviewers: { data: [] } } }] })
+
+    })
+
+  })
+
+  describe ('response', function () {
+
+    beforeEach (function () {
+
+      return prepare.loadMockData()
+
+    })
+
+    it ('should return 200 | get /gameofthrones/character, with _include', function (done) {
+
+      server
+        .get('/gameofthrones/character?_include[0]=house&_limit=2&_sort=id')
+        .set('Accept', jsonapi.mediaType)
+        .expect(200)
+        .expect('Content-Type', /application\/vnd\.api\+json/)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert.deepEqual(res.body.data.map(row => row.attributes.name), ['Jon', 'Arya'])
+          assert.deepEqual(res.body.data[0].relationships.house.data, { type: 'house', id: '1' })
+          assert.deepEqual(res.body.included.map(row => row.attributes.name), ['Stark'])
+          assert(res.body.meta.total === 6)
+          done()
+
+        })
+
+    })
+
+    it ('should return 201 | post /user, with relationships', function (done) {
+
+      send(server.post('/user'), {
+        data: {
+          type          : 'user',
+          attributes    : { name: 'Arya', password: 'valar' },
+          relationships : {
+            characters : { data: [{ type: 'character', id: '2' }, { type: 'character', id: '6' }] }
+          }
+        }
+      })
+        .expect(201)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(res.body.data.type === 'user')
+          assert(res.body.data.attributes.password === undefined)
+
+          models.user.findById(+res.body.data.id).then(user => user.getCharacters()).then(characters => {
+            assert.deepEqual(characters.map(character => character.id).sort(), [2, 6])
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+    it ('should return 200 | patch /gameofthrones/character/:id, with a belongsTo linkage', function (done) {
+
+      send(server.patch('/gameofthrones/character/6'), {
+        data: {
+          type          : 'character',
+          id            : '6',
+          relationships : { house: { data: { type: 'house', id: '4' } } }
+        }
+      })
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert.deepEqual(res.body.data.relationships.house.data, { type: 'house', id: '4' })
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | post /user/:id/characters, with relationships', function (done) {
+
+      send(server.post('/user/1/characters'), { data: { 
+        type: 'character', attributes: { name: 'Hodor' }, 
+        relationships: { reviewers: { data: [{ type: 'user', id: '2' }] } } 
+      } })
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.errors[0].code === 'INVALID_BODY')
+          done()
+
+        })
+
+    })
+
+    it ('should return 409 | post /user, with an error document', function (done) {
+
+      send(server.post('/user'), { data: { type: 'house', attributes: {} } })
+        .expect(409)
+        .expect('Content-Type', /application\/vnd\.api\+json/)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.errors[0].status === '409')
+          assert(res.body.errors[0].code === 'RESOURCE_TYPE_CONFLICT')
+          done()
+
+        })
+
+    })
+
+  })
+
+})
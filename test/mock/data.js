@@ -27,8 +27,8 @@ module.exports = {
   ],
 
   user: [
-    { id: 1, name: 'Dale',    nickname: 'cg' },
-    { id: 2, name: 'Jocelyn', nickname: 'mm' }
+    { id: 1, name: 'Dale',    nickname: 'cg', password: 'winter', role: 'admin' },
+    { id: 2, name: 'Jocelyn', nickname: 'mm', password: 'summer' }
   ],
 
   user_characters: [
@@ -18,7 +18,28 @@ module.exports.attributes = (DataTypes) => {
     nickname: {
       type: DataTypes.STRING(100),
       allowNull: false,
-      defaultValue: ''
+      defaultValue: '',
+      validate: {
+        len: [0, 50]
+      }
+    }, 
+
+    password: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: '',
+      restql: {
+        writeOnly: true
+      }
+    }, 
+
+    role: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'member',
+      restql: {
+        readOnly: true
+      }
     }, 
 
     deleted_at: {
@@ -0,0 +1,193 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:model-options')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+
+const models  = prepare.sequelize.models
+
+describe ('model restql options', function () {
+
+  let server
+
+  before (function () {
+
+    models.user_characters.options.restql = { readOnly: true }
+    models.seat.options.restql            = { ignore: true }
+    models.house.options.restql           = { ignore: ['put', 'del'] }
+
+    let app =new koa()
+      , restql = new RestQL(models)
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+  })
+
+  after (function () {
+
+    delete models.user_characters.options.restql
+    delete models.seat.options.restql
+    delete models.house.options.restql
+
+  })
+
+  beforeEach (function (done) {
+
+    debug('reset db')
+    prepare.loadMockData().then(() => {
+      done()
+    }).catch(done)  
+
+  })
+
+  describe ('readOnly', function () {
+
+    it ('should return 200 | get /user_characters', function (done) {
+
+      server
+        .get('/user_characters')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(Array.isArray(res.body))
+          done()
+
+        })
+
+    })
+
+    it ('should return 405 | post /user_characters', function (done) {
+
+      server
+        .post('/user_characters')
+        .send({ user_id: 2, character_id: 4 })
+        .expect(405)
+        .expect('Allow', 'HEAD, GET, OPTIONS')
+        .end(done)
+
+    })
+
+    it ('should return 405 | post /user/:id/characters, as a through model', function (done) {
+
+      server
+        .post('/user/2/characters')
+        .send({ name: 'Hodor' })
+        .expect(405)
+        .expect('Allow', 'HEAD, GET, OPTIONS')
+        .end(done)
+
+    })
+
+    it ('should return 405 | del /user/:id/characters/:associationId, as a through model', function (done) {
+
+      server
+        .del('/user/1/characters/1')
+        .expect(405)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          models.user_characters.count({ where: { user_id: 1 } }).then(count => {
+            assert(count === 4)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+  })
+
+  describe ('ignore', function () {
+
+    it ('should return 404 | get /seat', function (done) {
+
+      server
+        .get('/gameofthrones/seat')
+        .expect(404)
+        .end(done)
+
+    })
+
+    it ('should return 404 | get /house/:id/seat, as an association', function (done) {
+
+      server
+        .get('/gameofthrones/house/1/seat')
+        .expect(404)
+        .end(done)
+
+    })
+
+    it ('should return 404 | post /house/:id/seat, as an association', function (done) {
+
+      server
+        .post('/gameofthrones/house/1/seat')
+        .send({ name: 'Pyke' })
+        .expect(404)
+        .end(done)
+
+    })
+
+    it ('should return 200 | get /house/:id, without _include of seat', function (done) {
+
+      server
+        .get('/gameofthrones/house/1?_include=seat')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.id === 1)
+          assert(res.body.seat === undefined)
+          done()
+
+        })
+
+    })
+
+    it ('should return 405 | put /character/:id/house, as an association', function (done) {
+
+      server
+        .put('/gameofthrones/character/1/house')
+        .send({ name: 'Stark', words: 'Winter is Here' })
+        .expect(405)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          models.house.findById(1).then(house => {
+            assert(house.words === 'Winter is Coming')
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+    it ('should return 405 | del /house/:id', function (done) {
+
+      server
+        .del('/gameofthrones/house/1')
+        .expect(405)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          models.house.findById(1).then(house => {
+            assert(house)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+  })
+
+})
@@ -81,6 +81,47 @@ describe ('model routers', function () {
         })
     })
 
+    it ('should return 201 | post /user, object body, with Location', function (done) {
+
+      const data = {
+        name : uuid()
+      }
+
+      server
+        .post(`/user`)
+        .send(data)
+        .expect(201)
+        .end((err, res) => {
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          assert(res.headers['location'] === `/user/${body.id}`)
+          done()
+        })
+    })
+
+    it ('should return 201 | post /user, array body, with Content-Location', function (done) {
+
+      const data = [{
+        name : uuid()
+      }, {
+        name : uuid()
+      }]
+
+      server
+        .post(`/user`)
+        .send(data)
+        .expect(201)
+        .end((err, res) => {
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+          const querystring = qs.stringify({ id: body.map(row => row.id) })
+          assert(res.headers['content-location'] === `/user?${querystring}`)
+          done()
+        })
+    })
+
     it ('should return 201 | post /user, object body, with object include create new character', function (done) {
 
       const data = {
@@ -256,7 +297,11 @@ describe ('model routers', function () {
             assert(typeof body === 'object')
             debug(body)
 
-            test.assertObject(body, data) 
+            // password is writeOnly, it is written but not responded
+            const responded = Object.assign({}, data)
+            delete responded.password
+
+            test.assertObject(body, responded)
             test.assertModelById(model, body.id, data, done).catch(done)
           })
 
@@ -404,7 +449,10 @@ describe ('model routers', function () {
               assert(typeof body === 'object')
               debug(body)
 
-              test.assertObject(body, data)
+              const responded = Object.assign({}, data)
+              delete responded.password
+
+              test.assertObject(body, responded)
               test.assertModelById(model, body.id, data, done).catch(done)
             })
         })
@@ -458,7 +506,10 @@ describe ('model routers', function () {
               debug(body)
 
               let promises = data.map((row, index) => {
-                test.assertObject(body[index], row) 
+                const responded = Object.assign({}, row)
+                delete responded.password
+
+                test.assertObject(body[index], responded)
                 return test.assertModelById(model, body[index].id, row)
               })
 
@@ -489,13 +540,13 @@ describe ('model routers', function () {
         })
     })
 
-    it ('should return 204 | get /user/:id', function (done) {
+    it ('should return 404 | get /user/:id', function (done) {
 
       const id = 100
 
       server
         .get(`/user/${id}`)
-        .expect(204)
+        .expect(404)
         .end(done)
 
     })
@@ -524,6 +575,128 @@ describe ('model routers', function () {
         })
     })
 
+    it ('should return 200 | patch /user/:id', function (done) {
+
+      const id = 1
+
+      const data = {
+        nickname: uuid()
+      }
+
+      model.findById(id).then(user => {
+
+        server
+          .patch(`/user/${id}`)
+          .send(data)
+          .expect(200)
+          .end((err, res) => {
+            if (err) return done(err)
+            let body = res.body
+            assert(typeof body === 'object')
+            debug(body)
+
+            assert(body.id === id)
+            assert(body.name === user.name)
+            test.assertObject(body, data)
+            test.assertModelById(model, id, data, done).catch(done)
+          })
+
+      }).catch(done)
+    })
+
+    it ('should return 404 | patch /user/:id', function (done) {
+
+      const id = 100
+
+      server
+        .patch(`/user/${id}`)
+        .send({ nickname: uuid() })
+        .expect(404)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          models.user.findById(id).then(data => {
+            assert(!data)
+            done()
+          }).catch(done)
+
+        })
+
+    })
+
+    it ('should return 409 | patch /user/:id', function (done) {
+
+      const id = 1
+
+      server
+        .patch(`/user/${id}`)
+        .send({ name: 'Jocelyn' })
+        .expect(409)
+        .end(done)
+
+    })
+
+    it ('should return 200 | patch /user/:id, json patch', function (done) {
+
+      const id = 1
+
+      const operations = [
+        { op: 'test',    path: '/name',     value: 'Dale' },
+        { op: 'replace', path: '/nickname', value: 'xt' }
+      ]
+
+      server
+        .patch(`/user/${id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify(operations))
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err)
+          let body = res.body
+          debug(body)
+
+          test.assertObject(body, { id, nickname: 'xt' })
+          test.assertModelById(model, id, { nickname: 'xt' }, done).catch(done)
+        })
+    })
+
+    it ('should return 409 | patch /user/:id, json patch, test failed', function (done) {
+
+      const id = 1
+
+      const operations = [
+        { op: 'replace', path: '/nickname', value: 'xt' },
+        { op: 'test',    path: '/name',     value: 'Jocelyn' }
+      ]
+
+      server
+        .patch(`/user/${id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify(operations))
+        .expect(409)
+        .end((err, res) => {
+          if (err) return done(err)
+          test.assertModelById(model, id, { nickname: 'cg' }, done).catch(done)
+        })
+    })
+
+    it ('should return 422 | patch /user/:id, json patch, unknown attribute', function (done) {
+
+      const id = 1
+
+      const operations = [
+        { op: 'add', path: '/unknown', value: 'xt' }
+      ]
+
+      server
+        .patch(`/user/${id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify(operations))
+        .expect(422)
+        .end(done)
+    })
+
     it ('should return 204 | delete /user/:id', function (done) {
 
       const id = 2
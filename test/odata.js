@@ -0,0 +1,233 @@
+'use strict'
+
+const qs      = require('qs')
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:odata')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+const odata   = require('../lib/odata')
+
+const models  = prepare.sequelize.models
+
+describe ('odata', function () {
+
+  let server
+
+  before (function () {
+
+    let app =new koa()
+      , restql = new RestQL(models, {
+        odata: true
+      })
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+  })
+
+  describe ('parseQuery', function () {
+
+    it ('should translate system query options', function () {
+
+      const query = odata.parseQuery({
+        $filter  : '(name eq \'Jon\' or startswith(name, \'A\')) and not (id gt 3) and house/name ne null',
+        $select  : 'id,name',
+        $orderby : 'house/words desc,id',
+        $top     : '5',
+        $skip    : '2',
+        $count   : 'true',
+        $search  : 'Stark'
+      })
+
+      assert.deepEqual(query, {
+        _attributes : ['id', 'name'],
+        _order      : [['house.words', 'DESC'], ['id', 'ASC']],
+        _limit      : 5,
+        _offset     : 2,
+        _count      : true,
+        _q          : 'Stark',
+        $and        : [{ $and: [
+          { $or: [{ name: { $eq: 'Jon' } }, { name: { $like: 'A%' } }] },
+          { $not: { id: { $gt: 3 } } },
+          { '$house.name$': { $not: null } }
+        ] }],
+        _include    : [{ association: 'house', attributes: [], include: [] }]
+      })
+
+    })
+
+    it ('should translate $expand to _include', function () {
+
+      const query = odata.parseQuery({
+        $expand : 'seat,members($select=id,name;$filter=contains(name,\'o\'\'n\');$expand=house)'
+      })
+
+      assert.deepEqual(query._include, ['seat', {
+        association : 'members',
+        attributes  : ['id', 'name'],
+        where       : { name: { $like: '%o\'n%' } },
+        include     : ['house']
+      }])
+
+    })
+
+    it ('should throw with invalid expressions', function () {
+
+      const invalid = (query) => assert.throws(() => odata.parseQuery(query),
+        error => error.status === 400 && error.code === 'INVALID_QUERY_EXPRESSION')
+
+      invalid({ $filter: 'name eq' })
+      invalid({ $filter: 'name like \'a\'' })
+      invalid({ $filter: 'contains(name, 1)' })
+      invalid({ $filter: '(name eq \'a\'' })
+      invalid({ $top: '-1' })
+      invalid({ $select: 'house/name' })
+      invalid({ $expand: 'members($top=1)' })
+
+    })
+
+  })
+
+  it ('should return 200 | get /', function (done) {
+
+    server
+      .get('/')
+      .expect(200)
+      .expect('OData-Version', '4.0')
+      .end((err, res) => {
+
+        if (err) return done(err)
+        debug(res.body)
+        assert(/\/\$metadata$/.test(res.body['@odata.context']))
+        assert.deepEqual(res.body.value.find(set => set.name === 'house'), {
+          name: 'house', kind: 'EntitySet', url: 'gameofthrones/house'
+        })
+        done()
+
+      })
+
+  })
+
+  it ('should return 200 | get /$metadata', function (done) {
+
+    server
+      .get('/$metadata')
+      .expect(200)
+      .expect('Content-Type', /application\/xml/)
+      .end((err, res) => {
+
+        if (err) return done(err)
+        debug(res.text)
+        assert(res.text.indexOf('<EntityType Name="user"><Key><PropertyRef Name="id"/></Key>') !== -1)
+        assert(res.text.indexOf('<Property Name="name" Type="Edm.String" Nullable="false" MaxLength="100"/>') !== -1)
+        assert(res.text.indexOf('<Property Name="password"') === -1)
+        assert(res.text.indexOf('<NavigationProperty Name="members" Type="Collection(RestQL.character)"/>') !== -1)
+        assert(res.text.indexOf('<EntitySet Name="house" EntityType="RestQL.house">') !== -1)
+        done()
+
+      })
+
+  })
+
+  describe ('response', function () {
+
+    beforeEach (function () {
+
+      return prepare.loadMockData()
+
+    })
+
+    it ('should return 200 | get /gameofthrones/character, with $filter, $count and $top', function (done) {
+
+      const querystring = qs.stringify({
+        $filter  : 'house/name eq \'Stark\' or id gt 3',
+        $orderby : 'id',
+        $count   : 'true',
+        $top     : 2
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(200)
+        .expect('OData-Version', '4.0')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(/\/\$metadata#character$/.test(res.body['@odata.context']))
+          assert(res.body['@odata.count'] === 5)
+          assert.deepEqual(res.body.value.map(character => character.name), ['Jon', 'Arya'])
+          assert(/\$skip=2/.test(decodeURIComponent(res.body['@odata.nextLink'])))
+          assert(/\$top=2/.test(decodeURIComponent(res.body['@odata.nextLink'])))
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /gameofthrones/house/:id/members, with $expand and $select', function (done) {
+
+      const querystring = qs.stringify({
+        $select : 'id,name',
+        $expand : 'house($select=name)'
+      })
+
+      server
+        .get(`/gameofthrones/house/1/members?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(res.body['@odata.count'] === undefined)
+          assert(res.body['@odata.nextLink'] === undefined)
+          assert.deepEqual(res.body.value.map(character => character.name), ['Jon', 'Arya'])
+          assert(res.body.value.every(character =>
+            character.house.name === 'Stark' && character.house_id === undefined))
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user/:id, with OData-Version', function (done) {
+
+      server
+        .get('/user/1')
+        .set('OData-Version', '4.0')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          debug(res.body)
+          assert(/\/\$metadata#user\/\$entity$/.test(res.body['@odata.context']))
+          assert(res.body.id === 1)
+          assert(res.body.password === undefined)
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, without OData', function (done) {
+
+      server
+        .get('/user')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(Array.isArray(res.body))
+          done()
+
+        })
+
+    })
+
+  })
+
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const koa     = require('koa')
+const http    = require('http')
+const assert  = require('assert')
+const request = require('supertest')
+const debug   = require('debug')('roas-restql:test:openapi')
+
+const prepare = require('./lib/prepare')
+const RestQL  = require('../lib/RestQL')
+
+const models  = prepare.sequelize.models
+
+describe ('openapi', function () {
+
+  let server, doc
+
+  before (function () {
+
+    models.seat.options.restql = { ignore: true }
+    models.house.associations.members.options.restql = { ignore: ['post'] }
+
+    let app =new koa()
+      , restql = new RestQL(models, {
+        openapi: {
+          info: { title: 'Game of Thrones', version: '2.0.0' }
+        }
+      })
+
+    app.use(restql.routes())
+    server = request(http.createServer(app.callback()))
+
+    doc = restql.openapi()
+
+  })
+
+  after (function () {
+
+    delete models.seat.options.restql
+    delete models.house.associations.members.options.restql
+
+  })
+
+  it ('should generate paths of models and associations', function () {
+
+    debug(Object.keys(doc.paths))
+
+    assert(doc.openapi === '3.0.3')
+    assert(doc.info.title === 'Game of Thrones')
+
+    assert(doc.paths['/user'].get)
+    assert(doc.paths['/user'].post)
+    assert(doc.paths['/user/{id}'].patch)
+    assert(doc.paths['/user/{id}/characters'].get)
+    assert(doc.paths['/user/{id}/characters/{associationId}'].put)
+
+    const parameters = doc.paths['/user/{id}/characters/{associationId}'].get.parameters
+    assert.deepEqual(parameters.filter(item => item.in === 'path').map(item => item.name),
+      ['id', 'associationId'])
+
+  })
+
+  it ('should leave out ignored models, associations and methods', function () {
+
+    assert(!doc.paths['/gameofthrones/seat'])
+    assert(!doc.paths['/gameofthrones/house/{id}/members'].post)
+    assert(doc.paths['/gameofthrones/house/{id}/members'].get)
+
+  })
+
+  it ('should document querystrings and pagination', function () {
+
+    const operation = doc.paths['/user'].get
+
+    assert.deepEqual(operation.parameters.map(item => item.$ref.split('/').pop()),
+      ['Range', '_include', '_limit', '_offset', '_order', '_sort', '_q', '_filter', '_attributes', '_cursor', '_after', '_before'])
+    assert(operation.responses['206'].headers['Content-Range'])
+    assert(operation.responses['206'].headers['Link'])
+    assert(operation.responses['200'].content['application/json'].schema.items.$ref ===
+      '#/components/schemas/user')
+
+  })
+
+  it ('should generate schemas from attributes', function () {
+
+    const schema = doc.components.schemas.user
+
+    assert(schema.properties.name.type === 'string')
+    assert(schema.properties.name.maxLength === 100)
+    assert(schema.properties.id.readOnly)
+    assert(schema.properties.role.readOnly)
+    assert(schema.properties.password.writeOnly)
+
+  })
+
+  it ('should return 200 | get /_openapi.json', function (done) {
+
+    server
+      .get('/_openapi.json')
+      .expect(200)
+      .end((err, res) => {
+
+        if (err) return done(err)
+        assert.deepEqual(res.body, JSON.parse(JSON.stringify(doc)))
+        done()
+
+      })
+
+  })
+
+})
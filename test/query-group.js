@@ -46,7 +46,7 @@ describe ('group', function () {
     server
       .get(`/gameofthrones/character?${querystring}`)
       .expect(200)
-      .expect('X-Range', `objects 0-5/5`)
+      .expect('Content-Range', `items 0-4/5`)
       .end((err, res) => {
 
         debug(res.headers)
@@ -77,7 +77,7 @@ describe ('group', function () {
     server
       .get(`/gameofthrones/character?${querystring}`)
       .expect(200)
-      .expect('X-Range', `objects 0-5/5`)
+      .expect('Content-Range', `items 0-4/5`)
       .end((err, res) => {
 
         debug(res.headers)
@@ -106,7 +106,7 @@ describe ('group', function () {
     server
       .get(`/gameofthrones/character?${querystring}`)
       .expect(200)
-      .expect('X-Range', `objects 0-1/1`)
+      .expect('Content-Range', `items 0-0/1`)
       .end((err, res) => {
 
         debug(res.headers)
@@ -135,7 +135,7 @@ describe ('group', function () {
     server
       .get(`/user/${id}/characters?${querystring}`)
       .expect(206)
-      .expect('X-Range', `objects 0-3/4`)
+      .expect('Content-Range', `items 0-2/4`)
       .end((err, res) => {
 
         debug(res.headers)
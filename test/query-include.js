@@ -258,7 +258,7 @@ describe ('include', function () {
       server
         .get(`/gameofthrones/house?${querystring}`)
         .expect(200)
-        .expect('X-Range', 'objects 0-4/4')
+        .expect('Content-Range', 'items 0-3/4')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -300,7 +300,7 @@ describe ('include', function () {
       server
         .get(`/gameofthrones/house?${querystring}`)
         .expect(200)
-        .expect('X-Range', 'objects 0-5/5')
+        .expect('Content-Range', 'items 0-4/5')
         .end((err, res) => {
 
           if (err) return done(err)
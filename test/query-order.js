@@ -149,4 +149,62 @@ describe ('order', function () {
 
   })
 
+  it ('should return 200 | get /gameofthrones/character, with sort', function (done) {
+
+    const querystring = qs.stringify({
+      _sort: '-house.name,id'
+    })
+
+    server
+      .get(`/gameofthrones/character?${querystring}`)
+      .expect(200)
+      .end((err, res) => {
+
+        if (err) return done(err)
+        let body = res.body
+        assert(Array.isArray(body))
+        debug(body)
+
+        models.character.findAll({ 
+          include: [{ model: models.house, as: 'house', attributes: [] }],
+          order: [
+            [{ model: models.house, as: 'house' }, 'name', 'DESC'], 
+            ['id', 'ASC']
+          ]
+        }).then(characters => {
+
+          assert(body.length === characters.length)
+
+          characters.forEach((character, index) => {
+            assert(character.id === body[index].id)
+          })
+
+          done()
+
+        }).catch(done)
+
+      })
+
+  })
+
+  it ('should return 400 | get /gameofthrones/character, with invalid sort', function (done) {
+
+    const querystring = qs.stringify({
+      _sort: '-name DESC'
+    })
+
+    server
+      .get(`/gameofthrones/character?${querystring}`)
+      .expect(400)
+      .end((err, res) => {
+
+        if (err) return done(err)
+        assert(res.body.code === 'INVALID_QUERY_EXPRESSION')
+        assert(res.body.option === '_sort')
+        done()
+
+      })
+
+  })
+
 })
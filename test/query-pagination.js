@@ -49,7 +49,7 @@ describe ('pagination', function () {
       server
         .get('/user')
         .expect(206)
-        .expect('X-Range', 'objects 0-20/100')
+        .expect('Content-Range', 'items 0-19/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -72,7 +72,7 @@ describe ('pagination', function () {
       server
         .get(`/user?${querystring}`)
         .expect(206)
-        .expect('X-Range', 'objects 50-70/100')
+        .expect('Content-Range', 'items 50-69/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -95,7 +95,7 @@ describe ('pagination', function () {
       server
         .get(`/user?${querystring}`)
         .expect(206)
-        .expect('X-Range', 'objects 90-100/100')
+        .expect('Content-Range', 'items 90-99/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -109,6 +109,234 @@ describe ('pagination', function () {
 
     })
 
+    it ('should return 206 | get /user, with links', function (done) {
+
+      const querystring = qs.stringify({
+        name   : { $ne: null },
+        _offset: 20,
+        _limit : 30
+      }, {
+        strictNullHandling : true
+      })
+
+      const link = (offset) => `</user?${qs.stringify({
+        name   : { $ne: null },
+        _offset: offset,
+        _limit : 30
+      }, {
+        strictNullHandling : true
+      })}>`
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(206)
+        .expect('Content-Range', 'items 20-49/100')
+        .expect('Link', [
+          `${link(0)}; rel="first"`,
+          `${link(0)}; rel="prev"`,
+          `${link(50)}; rel="next"`,
+          `${link(90)}; rel="last"`
+        ].join(', '))
+        .end(done)
+
+    })
+
+    it ('should return 206 | get /user, with Range header', function (done) {
+
+      server
+        .get('/user')
+        .set('Range', 'items=10-34')
+        .expect(206)
+        .expect('Accept-Ranges', 'items')
+        .expect('Content-Range', 'items 10-34/100')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 25)
+          done()
+
+        })
+
+    })
+
+    it ('should return 206 | get /user, with legacy X-Range header', function (done) {
+
+      let app =new koa()
+        , restql = new RestQL(models, {
+          pagination: {
+            xRange: true
+          }
+        })
+
+      app.use(restql.routes())
+
+      request(http.createServer(app.callback()))
+        .get('/user?_limit=20')
+        .expect(206)
+        .expect('X-Range', 'objects 0-20/100')
+        .expect('Content-Range', 'items 0-19/100')
+        .end(done)
+
+    })
+
+    it ('should return 206 | get /user, _count = 0', function (done) {
+
+      server
+        .get('/user?_count=0&_offset=60&_limit=20')
+        .expect(206)
+        .expect('Content-Range', 'items 60-79/*')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 20)
+          assert(/rel="next"/.test(res.headers['link']))
+          assert(!/rel="last"/.test(res.headers['link']))
+          done()
+
+        })
+
+    })
+
+    it ('should return 206 | get /user, _count = 0 on the last page', function (done) {
+
+      server
+        .get('/user?_count=0&_offset=80&_limit=20')
+        .expect(206)
+        .expect('Content-Range', 'items 80-99/*')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 20)
+          assert(!/rel="next"/.test(res.headers['link']))
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, _count = 0 by model options', function (done) {
+
+      model.options.restql = { count: false }
+
+      let app =new koa()
+        , restql = new RestQL(models)
+
+      app.use(restql.routes())
+
+      request(http.createServer(app.callback()))
+        .get('/user?_limit=200')
+        .expect(200)
+        .expect('Content-Range', 'items 0-99/*')
+        .end((err, res) => {
+
+          delete model.options.restql
+          done(err)
+
+        })
+
+    })
+
+    it ('should return 20 rows | get /user, _count = estimated', function (done) {
+
+      /**
+       * statistics of tables are not accurate, 
+       * the status depends on the estimated count
+       */
+      server
+        .get('/user?_count=estimated&_limit=20')
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 20)
+          assert(/^items 0-19\/(\d+|\*)$/.test(res.headers['content-range']))
+          done()
+
+        })
+
+    })
+
+    it ('should find rows once | get /user, _count = estimated of unsupported dialects', function (done) {
+
+      const model      = models.user
+      const findAll    = model.findAll
+      const getDialect = model.sequelize.getDialect
+
+      let calls = 0
+
+      model.findAll = function () {
+        calls++
+        return findAll.apply(this, arguments)
+      }
+
+      model.sequelize.getDialect = () => 'sqlite'
+
+      server
+        .get('/user?_count=estimated&_limit=20')
+        .expect(206)
+        .end((err, res) => {
+
+          model.findAll = findAll
+          model.sequelize.getDialect = getDialect
+
+          if (err) return done(err)
+          assert(calls === 1)
+          assert(res.body.length === 20)
+          assert(res.headers['content-range'] === 'items 0-19/*')
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, with _limit > maxLimit', function (done) {
+
+      let app =new koa()
+        , restql = new RestQL(models, {
+          query: {
+            maxLimit: 50
+          }
+        })
+
+      app.use(restql.routes())
+
+      request(http.createServer(app.callback()))
+        .get('/user?_limit=51')
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'LIMIT_EXCEEDED')
+          assert(res.body.maxLimit === 50)
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, with _limit=0 and maxLimit', function (done) {
+
+      let app =new koa()
+        , restql = new RestQL(models, {
+          query: {
+            maxLimit: 50
+          }
+        })
+
+      app.use(restql.routes())
+
+      request(http.createServer(app.callback()))
+        .get('/user?_limit=0')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length > 0 && res.body.length <= 50)
+          done()
+
+        })
+
+    })
+
     it ('should return 200 | get /user, limit > count', function (done) {
 
       const querystring = qs.stringify({
@@ -155,6 +383,132 @@ describe ('pagination', function () {
 
     })
 
+    it ('should return 200 | get /user, with cursors', function (done) {
+
+      const order = [['name', 'DESC']]
+      const first = qs.stringify({ _cursor: null, _limit: 30, _order: order }, {
+        strictNullHandling : true
+      })
+
+      server
+        .get(`/user?${first}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          let body = res.body
+          assert(body.length === 30)
+          assert(!res.headers['x-range'])
+          assert(!res.headers['x-prev-cursor'])
+          assert(res.headers['x-next-cursor'])
+
+          const names = body.map(row => row.name)
+          assert.deepEqual(names, names.slice().sort().reverse())
+
+          const next = qs.stringify({ 
+            _cursor: res.headers['x-next-cursor'], _limit: 30, _order: order 
+          })
+
+          server
+            .get(`/user?${next}`)
+            .expect(200)
+            .end((err, res) => {
+
+              if (err) return done(err)
+              let body = res.body
+              assert(body.length === 30)
+              assert(body[0].name < names[29])
+              assert(res.headers['x-prev-cursor'])
+
+              const prev = qs.stringify({ 
+                _cursor: res.headers['x-prev-cursor'], _limit: 30, _order: order 
+              })
+
+              server
+                .get(`/user?${prev}`)
+                .expect(200)
+                .end((err, res) => {
+
+                  if (err) return done(err)
+                  assert.deepEqual(res.body.map(row => row.name), names)
+                  assert(!res.headers['x-prev-cursor'])
+                  done()
+
+                })
+
+            })
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, with cursors of the last page', function (done) {
+
+      let ids = []
+
+      const get = (cursor) => {
+
+        const querystring = qs.stringify({ _after: cursor, _limit: 40 }, {
+          strictNullHandling : true
+        })
+
+        server
+          .get(`/user?${querystring}`)
+          .expect(200)
+          .end((err, res) => {
+
+            if (err) return done(err)
+            ids = ids.concat(res.body.map(row => row.id))
+
+            const next = res.headers['x-next-cursor']
+
+            if (next) 
+              return get(next)
+
+            assert(ids.length === count)
+            assert.deepEqual(ids, ids.slice().sort((a, b) => a - b))
+            done()
+
+          })
+
+      }
+
+      get(null)
+
+    })
+
+    it ('should return 400 | get /user, with a cursor of another _order', function (done) {
+
+      const querystring = qs.stringify({ _cursor: null, _limit: 10 }, {
+        strictNullHandling : true
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+
+          const next = qs.stringify({ 
+            _cursor: res.headers['x-next-cursor'], _order: [['name', 'ASC']] 
+          })
+
+          server
+            .get(`/user?${next}`)
+            .expect(400)
+            .end((err, res) => {
+
+              if (err) return done(err)
+              assert(res.body.code === 'INVALID_CURSOR')
+              done()
+
+            })
+
+        })
+
+    })
+
   })
 
   describe ('model with plural association, with include', function () {
@@ -182,7 +536,7 @@ describe ('pagination', function () {
       server
         .get(`/gameofthrones/house?${querystring}`)
         .expect(200)
-        .expect('X-Range', 'objects 0-5/5')
+        .expect('Content-Range', 'items 0-4/5')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -208,7 +562,7 @@ describe ('pagination', function () {
       server
         .get(`/gameofthrones/house/1/members?${querystring}`)
         .expect(200)
-        .expect('X-Range', 'objects 0-2/2')
+        .expect('Content-Range', 'items 0-1/2')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -235,7 +589,7 @@ describe ('pagination', function () {
       server
         .get(`/user/1/characters?${querystring}`)
         .expect(200)
-        .expect('X-Range', 'objects 0-4/4')
+        .expect('Content-Range', 'items 0-3/4')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -278,7 +632,7 @@ describe ('pagination', function () {
       server
         .get(`/gameofthrones/house/${id}/members`)
         .expect(206)
-        .expect('X-Range', 'objects 0-20/100')
+        .expect('Content-Range', 'items 0-19/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -292,6 +646,41 @@ describe ('pagination', function () {
 
     })
 
+    it ('should return 200 | get /house/:id/members, with cursors', function (done) {
+
+      const querystring = qs.stringify({ _cursor: null, _limit: 60 }, {
+        strictNullHandling : true
+      })
+
+      server
+        .get(`/gameofthrones/house/${id}/members?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 60)
+
+          const next = qs.stringify({ 
+            _cursor: res.headers['x-next-cursor'], _limit: 60 
+          })
+
+          server
+            .get(`/gameofthrones/house/${id}/members?${next}`)
+            .expect(200)
+            .end((err, res) => {
+
+              if (err) return done(err)
+              assert(res.body.length === 40)
+              assert(res.body.every(row => row.house_id === id))
+              assert(!res.headers['x-next-cursor'])
+              done()
+
+            })
+
+        })
+
+    })
+
     it ('should return 206 | get /house/:id/members, with offset', function (done) {
 
       const querystring = qs.stringify({
@@ -301,7 +690,7 @@ describe ('pagination', function () {
       server
         .get(`/gameofthrones/house/${id}/members?${querystring}`)
         .expect(206)
-        .expect('X-Range', 'objects 20-40/100')
+        .expect('Content-Range', 'items 20-39/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -324,7 +713,7 @@ describe ('pagination', function () {
       server
         .get(`/gameofthrones/house/${id}/members?${querystring}`)
         .expect(206)
-        .expect('X-Range', 'objects 90-100/100')
+        .expect('Content-Range', 'items 90-99/100')
         .end((err, res) => {
 
           if (err) return done(err)
@@ -56,7 +56,7 @@ describe ('subQuery', function () {
     server
       .get(`/gameofthrones/house?${querystring}`)
       .expect(200)
-      .expect('X-Range', `objects 0-5/5`)
+      .expect('Content-Range', `items 0-4/5`)
       .end((err, res) => {
 
         debug(res.headers)
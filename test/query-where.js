@@ -97,4 +97,292 @@ describe ('where', function () {
     
   })
 
+  describe('operators', function() {
+
+    const model = models.user
+    const count = 10
+
+    before (function () {
+
+      return prepare.reset().then(() => 
+        createMockData(model, ['name'], count))
+
+    })
+
+    it ('should return 200 | get /user, with allowed operators', function (done) {
+
+      const querystring = qs.stringify({ 
+        id: { $gt: 2 }, $or: [{ name: { $like: '%' } }, { id: { $in: [1] } }]
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === 8)
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, with bracket operators', function (done) {
+
+      const querystring = qs.stringify({ 
+        id: { gte: 2, lte: 8 }, 
+        name: { like: '*' },
+        nickname: { null: false },
+        $or: [{ id: { in: '2,3,4' } }, { id: { between: '7,8' } }],
+        _sort: 'id'
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert.deepEqual(res.body.map(user => user.id), [2, 3, 4, 7, 8])
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, with invalid between', function (done) {
+
+      const querystring = qs.stringify({ 
+        id: { between: '1,2,3' }
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'INVALID_QUERY_EXPRESSION')
+          assert(res.body.option === 'id[between]')
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, with $col in $or', function (done) {
+
+      const querystring = qs.stringify({ 
+        $or: [{ name: { $col: 'user.nickname' } }]
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'OPERATOR_NOT_ALLOWED')
+          assert(res.body.operator === '$col')
+          assert(res.body.field === 'name')
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, with unknown query options', function (done) {
+
+      let app =new koa()
+        , restql = new RestQL(models, {
+          query: {
+            unknown: 'reject'
+          }
+        })
+
+      app.use(restql.routes())
+
+      const querystring = qs.stringify({ 
+        _raw: 1, _include: ['characters', 'friends']
+      })
+
+      request(http.createServer(app.callback()))
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'UNKNOWN_QUERY_OPTIONS')
+          assert.deepEqual(res.body.options, ['_raw', '_include.friends'])
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /user, with a warning of unknown query options', function (done) {
+
+      let app =new koa()
+        , restql = new RestQL(models, {
+          query: {
+            unknown: 'warn'
+          }
+        })
+
+      app.use(restql.routes())
+
+      request(http.createServer(app.callback()))
+        .get('/user?_paranoid=0')
+        .expect(200)
+        .expect('Warning', /_paranoid/)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.length === count)
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /user, with $raw in _include where', function (done) {
+
+      const querystring = qs.stringify({ 
+        _include: [{ association: 'characters', where: { $raw: '1 = 1' } }]
+      })
+
+      server
+        .get(`/user?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'OPERATOR_NOT_ALLOWED')
+          assert(res.body.model === 'character')
+          done()
+
+        })
+
+    })
+
+  })
+
+  describe('search', function() {
+
+    before (function () {
+
+      models.character.options.restql = { searchable: ['name', 'house.words'] }
+      return prepare.loadMockData()
+
+    })
+
+    after (function () {
+
+      delete models.character.options.restql
+
+    })
+
+    it ('should return 200 | get /gameofthrones/character, with _q', function (done) {
+
+      server
+        .get('/gameofthrones/character?_q=ar')
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert.deepEqual(res.body.map(character => character.name), ['Arya'])
+          done()
+
+        })
+
+    })
+
+    it ('should return 200 | get /gameofthrones/character, with _q and _include', function (done) {
+
+      const querystring = qs.stringify({ 
+        _q: 'blood', _include: ['house']
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert.deepEqual(res.body.map(character => character.name), ['Daenerys'])
+          assert(res.body[0].house.name === 'Targaryen')
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /gameofthrones/house, with _q', function (done) {
+
+      server
+        .get('/gameofthrones/house?_q=stark')
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'MODEL_NOT_SEARCHABLE')
+          assert(res.body.model === 'house')
+          done()
+
+        })
+
+    })
+
+  })
+
+  describe('filter', function() {
+
+    before (function () {
+
+      return prepare.loadMockData()
+
+    })
+
+    it ('should return 200 | get /gameofthrones/character, with _filter', function (done) {
+
+      const querystring = qs.stringify({ 
+        _filter: '(name==A*;is_bastard==0),house.name==Lannister', _sort: 'id'
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(200)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert.deepEqual(res.body.map(character => character.name), ['Arya', 'Tyrion'])
+          done()
+
+        })
+
+    })
+
+    it ('should return 400 | get /gameofthrones/character, with invalid _filter', function (done) {
+
+      const querystring = qs.stringify({ 
+        _filter: '(name==A*'
+      })
+
+      server
+        .get(`/gameofthrones/character?${querystring}`)
+        .expect(400)
+        .end((err, res) => {
+
+          if (err) return done(err)
+          assert(res.body.code === 'INVALID_QUERY_EXPRESSION')
+          assert(res.body.option === '_filter')
+          done()
+
+        })
+
+    })
+
+  })
+
 })